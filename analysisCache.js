@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const FrameStore = require('./frameStore');
+
+/**
+ * On-disk cache of audio analysis results.
+ * Entries are keyed by a hash of the audio file contents plus every parameter
+ * that affects the analysis (time range, fps, analyzer options and version),
+ * stored in the FrameStore binary format and evicted least-recently-used
+ * once the cache grows past `maxBytes`.
+ */
+class AnalysisCache {
+  constructor(options = {}) {
+    this.cacheDir = options.cacheDir || path.join(__dirname, 'cache', 'analysis');
+    this.maxBytes = options.maxBytes || 1024 * 1024 * 1024; // 1GB
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * SHA-256 of a file's contents, streamed so large files are not loaded at once
+   */
+  hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
+    });
+  }
+
+  /**
+   * Cache key for an audio file and the analysis parameters applied to it
+   */
+  async getKey(audioPath, params) {
+    const contentHash = await this.hashFile(audioPath);
+    return crypto.createHash('sha256')
+      .update(JSON.stringify({ contentHash, params }))
+      .digest('hex');
+  }
+
+  entryPath(key) {
+    if (!/^[a-f0-9]{64}$/.test(key)) {
+      throw new Error(`Invalid analysis cache key: ${key}`);
+    }
+    return path.join(this.cacheDir, `${key}.bin`);
+  }
+
+  /**
+   * Load a cached analysis. Returns { store, meta } or null on a miss.
+   * Unreadable entries are removed and reported as misses.
+   */
+  async get(key) {
+    const filePath = this.entryPath(key);
+    if (!await fs.pathExists(filePath)) {
+      this.misses++;
+      return null;
+    }
+
+    try {
+      const entry = FrameStore.deserialize(await fs.readFile(filePath));
+      // Touch for LRU eviction
+      const now = new Date();
+      await fs.utimes(filePath, now, now);
+      this.hits++;
+      return entry;
+    } catch (error) {
+      console.error(`Discarding unreadable analysis cache entry ${key}:`, error.message);
+      await fs.remove(filePath).catch(() => {});
+      this.misses++;
+      return null;
+    }
+  }
+
+  /**
+   * Store an analysis, then evict old entries if over the size limit
+   */
+  async set(key, store, meta = {}) {
+    const filePath = this.entryPath(key);
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.ensureDir(this.cacheDir);
+
+    // Write then rename so concurrent readers never see a partial entry
+    await fs.writeFile(tempPath, store.serialize(meta));
+    await fs.move(tempPath, filePath, { overwrite: true });
+
+    await this.evict();
+  }
+
+  /**
+   * List entries, most recently used first
+   */
+  async listEntries() {
+    if (!await fs.pathExists(this.cacheDir)) return [];
+
+    const files = (await fs.readdir(this.cacheDir)).filter(name => name.endsWith('.bin'));
+    const entries = [];
+    for (const name of files) {
+      try {
+        const stats = await fs.stat(path.join(this.cacheDir, name));
+        entries.push({
+          key: path.basename(name, '.bin'),
+          size: stats.size,
+          lastUsed: stats.mtimeMs
+        });
+      } catch (error) {
+        // Removed concurrently
+      }
+    }
+    return entries.sort((a, b) => b.lastUsed - a.lastUsed);
+  }
+
+  /**
+   * Remove least recently used entries until the cache fits in maxBytes
+   */
+  async evict() {
+    const entries = await this.listEntries();
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    let evicted = 0;
+
+    while (total > this.maxBytes && entries.length > 0) {
+      const oldest = entries.pop();
+      await fs.remove(this.entryPath(oldest.key)).catch(() => {});
+      total -= oldest.size;
+      evicted++;
+    }
+
+    if (evicted > 0) {
+      console.log(`🗑️ Evicted ${evicted} analysis cache entries (${Math.round(total / 1024 / 1024)}MB remaining)`);
+    }
+    return evicted;
+  }
+
+  async remove(key) {
+    const filePath = this.entryPath(key);
+    const existed = await fs.pathExists(filePath);
+    await fs.remove(filePath);
+    return existed;
+  }
+
+  async clear() {
+    const entries = await this.listEntries();
+    await fs.remove(this.cacheDir);
+    this.hits = 0;
+    this.misses = 0;
+    return entries.length;
+  }
+
+  async getStats() {
+    const entries = await this.listEntries();
+    const totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+    return {
+      entries: entries.length,
+      totalBytes,
+      maxBytes: this.maxBytes,
+      usagePercent: Math.round((totalBytes / this.maxBytes) * 100),
+      hits: this.hits,
+      misses: this.misses,
+      items: entries.map(entry => ({
+        key: entry.key,
+        size: entry.size,
+        lastUsed: new Date(entry.lastUsed).toISOString()
+      }))
+    };
+  }
+}
+
+// Shared instance, sized via ANALYSIS_CACHE_MAX_MB
+const analysisCache = new AnalysisCache({
+  cacheDir: process.env.ANALYSIS_CACHE_DIR,
+  maxBytes: process.env.ANALYSIS_CACHE_MAX_MB ? parseInt(process.env.ANALYSIS_CACHE_MAX_MB, 10) * 1024 * 1024 : undefined
+});
+
+module.exports = { AnalysisCache, analysisCache };
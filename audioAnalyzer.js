@@ -1,20 +1,309 @@
-const fs = require('fs-extra');
-const { exec } = require('child_process');
-const path = require('path');
+const { exec, spawn } = require('child_process');
 const util = require('util');
 const execPromise = util.promisify(exec);
+const { SCALES, isPowerOfTwo, createWindow, fft, createRangeMap, createBinMap } = require('./fft');
+const { detectBeats } = require('./beatTracker');
+const { pitchClassOf, detectKey } = require('./keyDetector');
+const { WavStreamDecoder } = require('./wavDecoder');
+const FrameStore = require('./frameStore');
+const { envelopeCoefficient, percentile, smoothEnvelope, bandEnvelope } = require('./dynamics');
+
+// Bump whenever the analysis output changes so cached results are invalidated
+const ANALYZER_VERSION = 9;
+
+// Named frequency bands in Hz, exposed per frame as `bands.<name>` (0-1)
+const DEFAULT_BANDS = {
+  sub: [20, 60],
+  bass: [60, 250],
+  lowMid: [250, 500],
+  mid: [500, 2000],
+  highMid: [2000, 4000],
+  presence: [4000, 6000],
+  brilliance: [6000, 20000]
+};
+
+const DEFAULT_OPTIONS = {
+  fftSize: 2048,        // FFT window length in samples, power of 2
+  window: 'hann',       // hann | hamming | blackman | rectangular
+  bins: 256,            // Length of the freq/wave arrays handed to VisualRenderer
+  scale: 'log',         // log | mel | linear spacing of the freq bins
+  minFrequency: 20,
+  maxFrequency: 16000,
+  minDecibels: -90,     // Maps to freq value 0
+  maxDecibels: -20,     // Maps to freq value 255
+  minBpm: 60,           // Tempo search range for beat tracking
+  maxBpm: 200,
+  noiseGate: null,      // dBFS; quieter freq bins and frames read as silence (null = off)
+  autoGain: false,      // Normalize levels across the whole segment
+  gainPercentile: 95,   // Level percentile that auto-gain brings to the targets
+  gainTarget: 0.85,     // Target for that percentile of freq, as a fraction of 255
+  rmsTarget: 0.3,       // Target for that percentile of rms
+  maxGainDb: 24,        // Auto-gain boost/cut limit
+  attack: 0,            // ms for levels to rise (0 = instant)
+  release: 0,           // ms for levels to fall (0 = instant)
+  bandEnvelopes: null,  // [{ maxFrequency, attack, release }] per-band overrides, lowest band first
+  bands: {}             // Extra/overridden named bands: { name: [minHz, maxHz] }
+};
+
+/**
+ * Sliding window of decoded samples (mono mix, left, right) addressed by
+ * absolute sample index. Old samples are dropped with trim() and the backing
+ * buffers are compacted in place, so memory stays bounded for any track length.
+ */
+class SampleWindow {
+  constructor() {
+    this.capacity = 0;
+    this.buffers = null;  // { samples, left, right } (one shared array for mono)
+    this.offset = 0;      // Index in the buffers of absolute sample `start`
+    this.length = 0;
+    this.start = 0;       // Absolute index of the first held sample
+    this.received = 0;    // Total samples appended
+  }
+
+  get end() {
+    return this.start + this.length;
+  }
+
+  append({ samples, left, right }) {
+    const count = samples.length;
+    const mono = left === right;
+    
+    if (!this.buffers || this.offset + this.length + count > this.capacity) {
+      this.reserve(count, mono);
+    }
+    
+    const at = this.offset + this.length;
+    this.buffers.samples.set(samples, at);
+    if (!mono) {
+      this.buffers.left.set(left, at);
+      this.buffers.right.set(right, at);
+    }
+    this.length += count;
+    this.received += count;
+  }
+
+  /**
+   * Make room for `count` more samples: move held samples to the front of the
+   * buffers, reallocating only when they are too small
+   */
+  reserve(count, mono) {
+    const capacity = Math.max(this.capacity, (this.length + count) * 2);
+    const relocate = (old) => {
+      if (!old) return new Float32Array(capacity);
+      if (capacity === this.capacity) {
+        old.copyWithin(0, this.offset, this.offset + this.length);
+        return old;
+      }
+      const next = new Float32Array(capacity);
+      next.set(old.subarray(this.offset, this.offset + this.length));
+      return next;
+    };
+    
+    const buffers = this.buffers || {};
+    const samples = relocate(buffers.samples);
+    this.buffers = {
+      samples,
+      left: mono ? samples : relocate(buffers.left),
+      right: mono ? samples : relocate(buffers.right)
+    };
+    this.capacity = capacity;
+    this.offset = 0;
+  }
+
+  /**
+   * Drop samples before absolute index `absoluteIndex`
+   */
+  trim(absoluteIndex) {
+    const drop = Math.max(0, Math.min(this.length, absoluteIndex - this.start));
+    this.offset += drop;
+    this.length -= drop;
+    this.start += drop;
+  }
+
+  /**
+   * Subarray views of the held samples, index 0 = `start`
+   */
+  views() {
+    if (!this.buffers) {
+      const empty = new Float32Array(0);
+      return { samples: empty, left: empty, right: empty };
+    }
+    const view = (buffer) => buffer.subarray(this.offset, this.offset + this.length);
+    const samples = view(this.buffers.samples);
+    const mono = this.buffers.left === this.buffers.samples;
+    return {
+      samples,
+      left: mono ? samples : view(this.buffers.left),
+      right: mono ? samples : view(this.buffers.right)
+    };
+  }
+}
 
 /**
  * Extract audio segment and analyze it for frequency/waveform data
  */
 class AudioAnalyzer {
-  constructor(audioPath, startTime, endTime) {
+  constructor(audioPath, startTime, endTime, options = {}) {
     this.audioPath = audioPath;
     this.startTime = startTime;
     this.endTime = endTime;
     this.duration = endTime - startTime;
     this.sampleRate = 44100;
-    this.fftSize = 256; // Must be power of 2
+
+    this.options = AudioAnalyzer.resolveOptions(options);
+    const { fftSize, bins, minFrequency, maxFrequency } = this.options;
+
+    this.fftSize = fftSize;
+    this.binCount = bins;
+    this.window = createWindow(this.options.window, fftSize);
+    // Amplitude of a full-scale sine after windowing, used as the 0dB reference
+    this.windowGain = this.window.reduce((sum, v) => sum + v, 0) / 2;
+    // Same reference for the summed power of a band (spectral leakage included)
+    this.bandGain = Math.sqrt(fftSize * this.window.reduce((sum, v) => sum + v * v, 0)) / 2;
+    // dB range freq bytes hold until applyDynamics(): auto-gain needs headroom
+    // on both sides so levels it shifts into view weren't clipped beforehand
+    const headroom = this.options.autoGain ? this.options.maxGainDb : 0;
+    this.levelRange = {
+      minDecibels: this.options.minDecibels - headroom,
+      maxDecibels: this.options.maxDecibels + headroom
+    };
+    // Named bands ordered from lowest to highest frequency
+    this.bands = Object.entries({ ...DEFAULT_BANDS, ...this.options.bands })
+      .sort((a, b) => a[1][0] - b[1][0] || a[1][1] - b[1][1]);
+    this.bandNames = this.bands.map(([name]) => name);
+    this.setSampleRate(this.sampleRate);
+    this.fftRe = new Float64Array(fftSize);
+    this.fftIm = new Float64Array(fftSize);
+    this.tempo = null; // Filled in by analyze()
+    this.key = null;   // Estimated musical key, filled in by analyze()
+    this.peak = null;  // Highest absolute sample value in the segment
+    this.loudness = null; // RMS statistics measured before dynamics processing
+    this.gain = null;     // Auto-gain applied to freq (dB) and rms (factor)
+    this.frameStore = null;
+  }
+
+  /**
+   * Merge analyzer options with defaults and validate them
+   */
+  static resolveOptions(options = {}) {
+    const resolved = { ...DEFAULT_OPTIONS, ...options };
+    const { fftSize, bins, minFrequency, maxFrequency, minDecibels, maxDecibels } = resolved;
+
+    if (!isPowerOfTwo(fftSize) || fftSize < 256 || fftSize > 32768) {
+      throw new Error(`fftSize must be a power of 2 between 256 and 32768, got ${fftSize}`);
+    }
+    if (!Number.isInteger(bins) || bins < 8 || bins > 1024) {
+      throw new Error(`bins must be an integer between 8 and 1024, got ${bins}`);
+    }
+    if (!(minFrequency > 0 && minFrequency < maxFrequency)) {
+      throw new Error(`Invalid frequency range ${minFrequency}-${maxFrequency}Hz`);
+    }
+    if (!(minDecibels < maxDecibels)) {
+      throw new Error(`minDecibels (${minDecibels}) must be lower than maxDecibels (${maxDecibels})`);
+    }
+    if (!(resolved.minBpm > 0 && resolved.minBpm < resolved.maxBpm)) {
+      throw new Error(`Invalid tempo range ${resolved.minBpm}-${resolved.maxBpm} BPM`);
+    }
+    if (resolved.noiseGate !== null && !(typeof resolved.noiseGate === 'number' && resolved.noiseGate < 0)) {
+      throw new Error(`noiseGate must be null or a negative dBFS value, got ${resolved.noiseGate}`);
+    }
+    if (!(resolved.gainPercentile > 0 && resolved.gainPercentile <= 100)) {
+      throw new Error(`gainPercentile must be between 0 and 100, got ${resolved.gainPercentile}`);
+    }
+    if (!(resolved.gainTarget > 0 && resolved.gainTarget <= 1) || !(resolved.rmsTarget > 0 && resolved.rmsTarget <= 1)) {
+      throw new Error('gainTarget and rmsTarget must be between 0 and 1');
+    }
+    if (!(resolved.maxGainDb >= 0)) {
+      throw new Error(`maxGainDb must be >= 0, got ${resolved.maxGainDb}`);
+    }
+    if (resolved.bandEnvelopes !== null && !Array.isArray(resolved.bandEnvelopes)) {
+      throw new Error('bandEnvelopes must be an array of { maxFrequency, attack, release }');
+    }
+    for (const band of resolved.bandEnvelopes || []) {
+      if (!(band.maxFrequency > 0)) {
+        throw new Error(`bandEnvelopes entries need a maxFrequency > 0, got ${band.maxFrequency}`);
+      }
+    }
+    for (const envelope of [resolved, ...(resolved.bandEnvelopes || [])]) {
+      for (const key of ['attack', 'release']) {
+        if (envelope[key] !== undefined && !(envelope[key] >= 0)) {
+          throw new Error(`${key} must be a time in ms >= 0, got ${envelope[key]}`);
+        }
+      }
+    }
+    if (!resolved.bands || typeof resolved.bands !== 'object' || Array.isArray(resolved.bands)) {
+      throw new Error('bands must be an object of { name: [minHz, maxHz] }');
+    }
+    for (const [name, range] of Object.entries(resolved.bands)) {
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        throw new Error(`Invalid band name "${name}" (letters, digits and _ only)`);
+      }
+      if (!Array.isArray(range) || range.length !== 2 || !(range[0] > 0 && range[0] < range[1])) {
+        throw new Error(`Band ${name} must be [minHz, maxHz] with 0 < minHz < maxHz`);
+      }
+    }
+    // Throws on unknown window/scale names
+    createWindow(resolved.window, 4);
+    if (!SCALES.includes(resolved.scale)) {
+      throw new Error(`Unknown frequency scale "${resolved.scale}" (expected one of: ${SCALES.join(', ')})`);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Use the decoded file's sample rate and rebuild the Hz -> bin mapping for it
+   */
+  setSampleRate(sampleRate) {
+    const { minFrequency, maxFrequency } = this.options;
+    if (minFrequency >= sampleRate / 2) {
+      throw new Error(`minFrequency ${minFrequency}Hz is above the Nyquist frequency of ${sampleRate}Hz audio`);
+    }
+    
+    this.sampleRate = sampleRate;
+    this.binMap = createBinMap(
+      this.fftSize,
+      sampleRate,
+      this.binCount,
+      minFrequency,
+      Math.min(maxFrequency, sampleRate / 2),
+      this.options.scale
+    );
+    // FFT bins inside the analyzed range, for the spectral descriptors
+    const hzPerBin = sampleRate / this.fftSize;
+    this.descriptorBins = {
+      lo: Math.max(1, Math.ceil(minFrequency / hzPerBin)),
+      hi: Math.min(this.fftSize / 2 - 1, Math.floor(Math.min(maxFrequency, sampleRate / 2) / hzPerBin))
+    };
+    // Chroma uses spectral peaks between A1 and ~D#8
+    this.chromaBins = {
+      lo: Math.max(2, Math.floor(55 / hzPerBin)),
+      hi: Math.min(this.fftSize / 2 - 2, Math.ceil(Math.min(5000, sampleRate / 2) / hzPerBin))
+    };
+    this.bandMap = createRangeMap(
+      this.fftSize,
+      sampleRate,
+      this.bands.map(([, [minHz, maxHz]]) => [minHz, Math.min(maxHz, sampleRate / 2)])
+    );
+  }
+
+  /**
+   * Reduce decoded channels to a mono mix plus left/right.
+   * Mono files reuse one array for all three; extra channels only feed the mix.
+   */
+  splitChannels(channels) {
+    if (channels.length === 1) {
+      return { samples: channels[0], left: channels[0], right: channels[0] };
+    }
+    
+    const length = channels[0].length;
+    const samples = new Float32Array(length);
+    for (const channel of channels) {
+      for (let i = 0; i < length; i++) samples[i] += channel[i];
+    }
+    for (let i = 0; i < length; i++) samples[i] /= channels.length;
+    
+    return { samples, left: channels[0], right: channels[1] };
   }
 
   /**
@@ -35,117 +324,734 @@ class AudioAnalyzer {
   }
 
   /**
-   * Analyze audio file and generate frequency/waveform data for each frame
+   * Stream the segment out of ffmpeg as 32-bit float WAV and yield decoded
+   * chunks ({ sampleRate, channels }) as they arrive. Nothing touches disk and
+   * only one pipe buffer of PCM is held at a time.
    */
-  async analyzeAudio(fps) {
-    const tempWavPath = path.join(__dirname, 'temp', `analysis-${Date.now()}.wav`);
+  async *readSegmentPcm() {
+    const args = [
+      '-loglevel', 'error',
+      '-i', this.audioPath,
+      '-ss', String(this.startTime),
+      '-t', String(this.duration),
+      '-vn',
+      '-acodec', 'pcm_f32le',
+      '-ar', String(this.sampleRate),
+      '-ac', '2',
+      '-f', 'wav',
+      'pipe:1'
+    ];
+    
+    console.log(`Streaming audio segment: ffmpeg ${args.join(' ')}`);
     
+    const ffmpegProcess = spawn('ffmpeg', args);
+    let stderr = '';
+    ffmpegProcess.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    const exited = new Promise((resolve, reject) => {
+      ffmpegProcess.on('error', (err) => reject(new Error(`FFmpeg process failed: ${err.message}`)));
+      ffmpegProcess.on('close', resolve);
+    });
+    exited.catch(() => {}); // Surfaced by the await below
+    
+    const decoder = new WavStreamDecoder();
     try {
-      // Extract audio segment
-      await this.extractSegment(tempWavPath);
-      
-      // Read WAV file
-      const wavBuffer = await fs.readFile(tempWavPath);
-      
-      // Parse WAV data (simplified - assumes 16-bit PCM stereo)
-      const dataOffset = 44; // Standard WAV header size
-      const samples = [];
-      
-      for (let i = dataOffset; i < wavBuffer.length; i += 4) {
-        if (i + 3 < wavBuffer.length) {
-          // Read left and right channels (16-bit signed integers)
-          const left = wavBuffer.readInt16LE(i);
-          const right = wavBuffer.readInt16LE(i + 2);
-          // Average the channels
-          const avg = (left + right) / 2;
-          samples.push(avg / 32768); // Normalize to -1 to 1
+      for await (const chunk of ffmpegProcess.stdout) {
+        const channels = decoder.push(chunk);
+        if (channels) {
+          yield { sampleRate: decoder.format.sampleRate, channels };
         }
       }
       
-      console.log(`Analyzed ${samples.length} audio samples`);
-      
-      // Generate frame-by-frame audio data
-      const frameInterval = 1 / fps;
-      const totalFrames = Math.ceil(this.duration * fps);
-      const frameData = [];
+      const code = await exited;
+      if (code !== 0) {
+        throw new Error(`Audio decoding failed (ffmpeg exited with code ${code})${stderr ? `: ${stderr.trim()}` : ''}`);
+      }
+      decoder.end();
+    } finally {
+      if (ffmpegProcess.exitCode === null && !ffmpegProcess.killed) {
+        ffmpegProcess.kill();
+      }
+    }
+  }
+
+  /**
+   * Per-frame fields stored for every analyzed frame
+   */
+  getFrameFields() {
+    const bins = this.binCount;
+    return [
+      { name: 'time', kind: 'double' },
+      { name: 'freq', kind: 'bytes', size: bins },
+      { name: 'wave', kind: 'bytes', size: bins },
+      { name: 'rms', kind: 'float' },
+      { name: 'centroid', kind: 'float' },
+      { name: 'flux', kind: 'float' },
+      { name: 'rolloff', kind: 'float' },
+      { name: 'flatness', kind: 'float' },
+      { name: 'zcr', kind: 'float' },
+      { name: 'bands', kind: 'float', size: this.bandNames.length, keys: this.bandNames },
+      { name: 'chroma', kind: 'float', size: 12 },
+      { name: 'pitchClass', kind: 'float' },
+      { name: 'freqL', kind: 'bytes', size: bins },
+      { name: 'freqR', kind: 'bytes', size: bins },
+      { name: 'waveL', kind: 'bytes', size: bins },
+      { name: 'waveR', kind: 'bytes', size: bins },
+      { name: 'rmsL', kind: 'float' },
+      { name: 'rmsR', kind: 'float' },
+      { name: 'width', kind: 'float' },
+      { name: 'correlation', kind: 'float' },
+      { name: 'onsetStrength', kind: 'float' },
+      { name: 'onset', kind: 'flag' },
+      { name: 'beat', kind: 'flag' },
+      { name: 'bpm', kind: 'float' },
+      { name: 'beatPhase', kind: 'float' }
+    ];
+  }
+
+  /**
+   * Analyze the segment in a single streaming pass. PCM is decoded chunk by
+   * chunk into a sliding typed-array window and every frame's features are
+   * computed as soon as its samples have arrived, then written to a compact
+   * FrameStore. Track-level passes (beat tracking) run on the store afterwards.
+   */
+  async analyze(fps) {
+    if (this.frameStore && this.frameStore.fps === fps) {
+      return this.frameStore;
+    }
+    
+    const totalFrames = Math.ceil(this.duration * fps);
+    const store = new FrameStore(totalFrames, fps, this.getFrameFields());
+    const onsetEnvelope = new Float32Array(totalFrames);
+    const window = new SampleWindow();
+    let frameIndex = 0;
+    let prevFreq = null;
+    let peak = 0;
+    
+    const analyzeReadyFrames = (final) => {
+      const samplesPerFrame = Math.floor(this.sampleRate / fps);
+      const lead = Math.floor(samplesPerFrame / 2) - this.fftSize / 2;
+      const frameStart = (index) => Math.floor((index / fps) * this.sampleRate);
       
-      for (let frameIndex = 0; frameIndex < totalFrames; frameIndex++) {
-        const frameTime = frameIndex * frameInterval;
-        const sampleIndex = Math.floor(frameTime * this.sampleRate);
-        
-        // Get samples for this frame
-        const samplesPerFrame = Math.floor(this.sampleRate / fps);
-        const frameSamples = samples.slice(sampleIndex, sampleIndex + samplesPerFrame);
+      while (frameIndex < totalFrames) {
+        const sampleIndex = frameStart(frameIndex);
+        const needed = Math.max(sampleIndex + samplesPerFrame, sampleIndex + lead + this.fftSize);
+        if (!final && window.end < needed) break;
         
-        // Calculate frequency data (simplified FFT)
-        const freq = this.calculateFrequency(frameSamples);
+        const frame = this.analyzeFrame(window, sampleIndex - window.start, samplesPerFrame);
+        frame.time = frameIndex / fps;
+        // Spectral flux drives onset and beat detection
+        frame.flux = this.calculateSpectralFlux(prevFreq, frame.freq);
+        onsetEnvelope[frameIndex] = frame.flux;
+        prevFreq = frame.freq;
+        store.setFrame(frameIndex, frame);
         
-        // Calculate waveform data
-        const wave = this.calculateWaveform(frameSamples);
-        
-        // Calculate RMS (loudness)
-        const rms = this.calculateRMS(frameSamples);
-        
-        frameData.push({
-          time: frameTime,
-          freq: freq,
-          wave: wave,
-          rms: rms
-        });
+        frameIndex++;
+        const next = frameStart(frameIndex);
+        window.trim(Math.min(next, next + lead));
+      }
+    };
+    
+    for await (const chunk of this.readSegmentPcm()) {
+      if (window.received === 0) {
+        this.setSampleRate(chunk.sampleRate);
+        this.channelCount = chunk.channels.length;
+      }
+      for (const channel of chunk.channels) {
+        for (let i = 0; i < channel.length; i++) {
+          const level = Math.abs(channel[i]);
+          if (level > peak) peak = level;
+        }
+      }
+      window.append(this.splitChannels(chunk.channels));
+      analyzeReadyFrames(false);
+    }
+    
+    if (window.received === 0) {
+      throw new Error(`Audio segment ${this.startTime}-${this.endTime}s contains no samples`);
+    }
+    
+    // Remaining frames run past the end of the audio and read as silence
+    analyzeReadyFrames(true);
+    
+    console.log(`Analyzed ${window.received} audio samples into ${totalFrames} frames (${Math.round(store.byteLength / 1024 / 1024)}MB)`);
+    
+    // Onsets come from the raw spectrum; dynamics only shape what the visuals see
+    this.applyBeatTracking(store, onsetEnvelope, fps);
+    this.applyKeyDetection(store);
+    this.loudness = this.measureLoudness(store);
+    this.applyDynamics(store, fps);
+    this.peak = peak;
+    this.frameStore = store;
+    return store;
+  }
+
+  /**
+   * analyze(), but served from `cache` when this file was already analyzed
+   * with the same parameters. `onAnalyze` runs only when analysis is needed.
+   * Cache failures are logged and never fail the analysis.
+   */
+  async analyzeCached(fps, cache, onAnalyze = () => {}) {
+    let cacheKey = null;
+    try {
+      cacheKey = await cache.getKey(this.audioPath, this.getCacheParams(fps));
+      const cached = await cache.get(cacheKey);
+      if (cached) {
+        this.restore(cached.store, cached.meta);
+        return { store: cached.store, cached: true };
       }
-      
-      // Clean up temp file
-      await fs.remove(tempWavPath);
-      
-      return frameData;
-      
     } catch (error) {
-      // Clean up on error
-      await fs.remove(tempWavPath).catch(() => {});
-      throw error;
+      console.error('Analysis cache lookup failed:', error.message);
+    }
+    
+    onAnalyze();
+    const store = await this.analyze(fps);
+    
+    if (cacheKey) {
+      await cache.set(cacheKey, store, this.getAnalysisMeta())
+        .catch(error => console.error('Analysis cache write failed:', error.message));
+    }
+    return { store, cached: false };
+  }
+
+  /**
+   * Everything that determines the analysis output besides the audio itself
+   */
+  getCacheParams(fps) {
+    return {
+      version: ANALYZER_VERSION,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      fps,
+      sampleRate: this.sampleRate,
+      options: this.options
+    };
+  }
+
+  /**
+   * Track-level results stored next to the frames
+   */
+  getAnalysisMeta() {
+    return {
+      tempo: this.tempo,
+      key: this.key,
+      peak: this.peak,
+      loudness: this.loudness,
+      gain: this.gain
+    };
+  }
+
+  /**
+   * Adopt a previously computed (cached) analysis instead of running analyze()
+   */
+  restore(store, meta = {}) {
+    this.frameStore = store;
+    this.tempo = meta.tempo || null;
+    this.key = meta.key || null;
+    this.peak = meta.peak ?? null;
+    this.loudness = meta.loudness || null;
+    this.gain = meta.gain || null;
+    return store;
+  }
+
+  /**
+   * Summary statistics for the analyzed segment
+   */
+  getSummary() {
+    const store = this.frameStore;
+    if (!store) {
+      throw new Error('Audio has not been analyzed yet');
+    }
+    
+    const { averageRms, maxRms } = this.loudness || this.measureLoudness(store);
+    const toDb = (value) => value > 0 ? Math.round(20 * Math.log10(value) * 10) / 10 : null;
+    
+    return {
+      duration: this.duration,
+      frames: store.frameCount,
+      fps: store.fps,
+      sampleRate: this.sampleRate,
+      peak: this.peak,
+      peakDb: toDb(this.peak),
+      averageRms: averageRms,
+      averageLoudnessDb: toDb(averageRms),
+      maxRms: maxRms,
+      gain: this.gain,
+      tempo: this.tempo,
+      key: this.key
+    };
+  }
+
+  /**
+   * Energy average and maximum of the per-frame RMS
+   */
+  measureLoudness(store) {
+    const rms = store.data.rms;
+    let energy = 0, maxRms = 0;
+    for (let i = 0; i < store.frameCount; i++) {
+      energy += rms[i] * rms[i];
+      if (rms[i] > maxRms) maxRms = rms[i];
+    }
+    return {
+      averageRms: store.frameCount ? Math.sqrt(energy / store.frameCount) : 0,
+      maxRms: maxRms
+    };
+  }
+
+  /**
+   * Async iterator over analyzed frames, for pulling one frame at a time
+   * (RenderEngine.processFramesStreaming). Track-level features such as the
+   * beat grid need the whole segment, so analysis finishes before the first
+   * frame is yielded; frame objects themselves are only built on demand.
+   */
+  async *frames(fps) {
+    const store = await this.analyze(fps);
+    for (let i = 0; i < store.frameCount; i++) {
+      yield store.getFrame(i);
+    }
+  }
+
+  /**
+   * Analyze audio file and return the frame data as an array
+   */
+  async analyzeAudio(fps) {
+    const store = await this.analyze(fps);
+    return store.toArray();
+  }
+
+  /**
+   * Compute all per-frame features for the frame starting at `sampleIndex`
+   * (relative to the window's current start)
+   */
+  analyzeFrame(window, sampleIndex, samplesPerFrame) {
+    const { samples, left, right } = window.views();
+    const mid = this.analyzeChannel(samples, sampleIndex, samplesPerFrame, true);
+    
+    // Identical channels (mono source) share the mono results
+    const stereo = this.isStereo(left, right, sampleIndex, samplesPerFrame);
+    const l = stereo ? this.analyzeChannel(left, sampleIndex, samplesPerFrame) : mid;
+    const r = stereo ? this.analyzeChannel(right, sampleIndex, samplesPerFrame) : mid;
+    const image = stereo
+      ? this.calculateStereoImage(left, right, sampleIndex, samplesPerFrame)
+      : { width: 0, correlation: mid.rms > 0 ? 1 : 0 };
+    
+    return {
+      freq: mid.freq,
+      wave: mid.wave,
+      rms: mid.rms,
+      ...mid.descriptors,
+      bands: mid.bands,
+      chroma: mid.chroma,
+      pitchClass: mid.chroma.some(v => v > 0) ? mid.chroma.indexOf(1) : -1,
+      freqL: l.freq,
+      freqR: r.freq,
+      waveL: l.wave,
+      waveR: r.wave,
+      rmsL: l.rms,
+      rmsR: r.rms,
+      width: image.width,
+      correlation: image.correlation
+    };
+  }
+
+  /**
+   * Compute freq, wave and rms for one channel of one frame, plus named bands
+   * and spectral descriptors if `detailed` (the mono mix)
+   */
+  analyzeChannel(samples, sampleIndex, samplesPerFrame, detailed = false) {
+    const frameSamples = samples.slice(sampleIndex, sampleIndex + samplesPerFrame);
+    
+    // Frequency data comes from an FFT window centred on the frame
+    const windowStart = sampleIndex + Math.floor(samplesPerFrame / 2) - this.fftSize / 2;
+    const freq = this.calculateFrequency(samples, windowStart);
+    
+    return {
+      freq: freq,
+      bands: detailed ? this.calculateBands() : null,
+      descriptors: detailed ? this.calculateSpectralDescriptors(frameSamples) : null,
+      chroma: detailed ? this.calculateChroma() : null,
+      wave: this.calculateWaveform(frameSamples),
+      rms: this.calculateRMS(frameSamples)
+    };
+  }
+
+  /**
+   * Whether left and right differ anywhere in the frame's FFT window
+   */
+  isStereo(left, right, sampleIndex, samplesPerFrame) {
+    if (left === right) return false;
+    const start = Math.max(0, sampleIndex + Math.floor(samplesPerFrame / 2) - this.fftSize / 2);
+    const end = Math.min(left.length, Math.max(start + this.fftSize, sampleIndex + samplesPerFrame));
+    for (let i = start; i < end; i++) {
+      if (left[i] !== right[i]) return true;
     }
+    return false;
   }
 
   /**
-   * Calculate frequency data (simplified FFT)
+   * Calculate stereo correlation (-1 out of phase .. 1 mono) and width
+   * (0 mono, ~0.5 uncorrelated, 1 fully out of phase) from mid/side energy
    */
-  calculateFrequency(samples) {
-    const freq = new Array(this.fftSize).fill(0);
+  calculateStereoImage(left, right, sampleIndex, samplesPerFrame) {
+    const end = Math.min(left.length, sampleIndex + samplesPerFrame);
+    let lr = 0, ll = 0, rr = 0, mid = 0, side = 0;
     
-    if (samples.length === 0) return freq;
+    for (let i = sampleIndex; i < end; i++) {
+      const l = left[i], r = right[i];
+      lr += l * r; ll += l * l; rr += r * r;
+      const m = (l + r) / 2, s = (l - r) / 2;
+      mid += m * m; side += s * s;
+    }
     
-    // Simplified frequency analysis
-    // In production, you'd use a proper FFT library
-    const chunkSize = Math.floor(samples.length / this.fftSize);
+    const norm = Math.sqrt(ll * rr);
+    const midRms = Math.sqrt(mid), sideRms = Math.sqrt(side);
+    return {
+      correlation: norm > 0 ? lr / norm : 0,
+      width: midRms + sideRms > 0 ? sideRms / (midRms + sideRms) : 0
+    };
+  }
+
+  /**
+   * Calculate frequency data: windowed FFT of `fftSize` samples starting at
+   * `start`, folded onto log/mel bins and scaled from dB (over levelRange)
+   * to 0-255. Samples outside the buffer are treated as silence.
+   */
+  calculateFrequency(samples, start = 0) {
+    const freq = new Array(this.binCount).fill(0);
+    const re = this.fftRe, im = this.fftIm;
     
     for (let i = 0; i < this.fftSize; i++) {
-      let sum = 0;
-      const start = i * chunkSize;
-      const end = Math.min(start + chunkSize, samples.length);
+      const sample = samples[start + i] || 0;
+      re[i] = sample * this.window[i];
+      im[i] = 0;
+    }
+    
+    fft(re, im);
+    
+    const { minDecibels, maxDecibels } = this.levelRange;
+    const range = maxDecibels - minDecibels;
+    const magnitude = (k) => Math.sqrt(re[k] * re[k] + im[k] * im[k]) / this.windowGain;
+    
+    for (let i = 0; i < this.binCount; i++) {
+      const { lo, hi, center } = this.binMap[i];
+      let mag = 0;
       
-      for (let j = start; j < end; j++) {
-        sum += Math.abs(samples[j]);
+      if (hi >= lo) {
+        for (let k = lo; k <= hi; k++) mag = Math.max(mag, magnitude(k));
+      } else {
+        // Bin narrower than the FFT resolution: interpolate at its centre
+        const k = Math.floor(center), t = center - k;
+        mag = magnitude(k) * (1 - t) + magnitude(k + 1) * t;
       }
       
-      // Normalize to 0-255 range
-      freq[i] = Math.min(255, Math.floor((sum / chunkSize) * 255));
+      const db = 20 * Math.log10(mag + 1e-12);
+      freq[i] = Math.max(0, Math.min(255, Math.round(((db - minDecibels) / range) * 255)));
     }
     
     return freq;
   }
 
+  /**
+   * Calculate named band levels (0-1 on the same dB scale as freq) from the
+   * total energy in each band's Hz range. Reads the spectrum left in the FFT
+   * buffers by the preceding calculateFrequency() call. Left unclamped for
+   * auto-gain, which clamps them once the gain is applied.
+   */
+  calculateBands() {
+    const re = this.fftRe, im = this.fftIm;
+    const { minDecibels, maxDecibels } = this.options;
+    const bands = new Array(this.bandMap.length);
+    
+    for (let b = 0; b < this.bandMap.length; b++) {
+      const { lo, hi, center } = this.bandMap[b];
+      let amplitude;
+      
+      if (hi >= lo) {
+        let power = 0;
+        for (let k = lo; k <= hi; k++) power += re[k] * re[k] + im[k] * im[k];
+        amplitude = Math.sqrt(power) / this.bandGain;
+      } else {
+        // Band narrower than the FFT resolution: interpolate at its centre
+        const k = Math.floor(center), t = center - k;
+        const magnitude = (i) => Math.sqrt(re[i] * re[i] + im[i] * im[i]);
+        amplitude = (magnitude(k) * (1 - t) + magnitude(k + 1) * t) / this.windowGain;
+      }
+      
+      const db = 20 * Math.log10(amplitude + 1e-12);
+      const level = (db - minDecibels) / (maxDecibels - minDecibels);
+      bands[b] = this.options.autoGain ? level : Math.max(0, Math.min(1, level));
+    }
+    
+    return bands;
+  }
+
+  /**
+   * Calculate timbre descriptors, each 0-1: centroid and rolloff (85% of the
+   * energy) as log-scaled positions between minFrequency and maxFrequency,
+   * flatness (0 tonal .. 1 noise) and zero-crossing rate (crossings per
+   * sample). Like calculateBands(), reads the spectrum in the FFT buffers.
+   */
+  calculateSpectralDescriptors(frameSamples) {
+    const re = this.fftRe, im = this.fftIm;
+    const { lo, hi } = this.descriptorBins;
+    const hzPerBin = this.sampleRate / this.fftSize;
+    const { minFrequency } = this.options;
+    const maxFrequency = Math.min(this.options.maxFrequency, this.sampleRate / 2);
+    const position = (hz) => Math.max(0, Math.min(1, Math.log(hz / minFrequency) / Math.log(maxFrequency / minFrequency)));
+    
+    let magnitudeSum = 0, weightedSum = 0, power = 0, logPower = 0;
+    for (let k = lo; k <= hi; k++) {
+      const p = re[k] * re[k] + im[k] * im[k];
+      const magnitude = Math.sqrt(p);
+      magnitudeSum += magnitude;
+      weightedSum += magnitude * k * hzPerBin;
+      power += p;
+      logPower += Math.log(p + 1e-20);
+    }
+    
+    let zeroCrossings = 0;
+    for (let i = 1; i < frameSamples.length; i++) {
+      if ((frameSamples[i - 1] >= 0) !== (frameSamples[i] >= 0)) zeroCrossings++;
+    }
+    const zcr = frameSamples.length > 1 ? zeroCrossings / (frameSamples.length - 1) : 0;
+    
+    // Silence has no meaningful spectral shape
+    const count = hi - lo + 1;
+    if (count < 1 || power < 1e-12) {
+      return { centroid: 0, rolloff: 0, flatness: 0, zcr: zcr };
+    }
+    
+    let rolloffBin = hi;
+    for (let k = lo, cumulative = 0; k <= hi; k++) {
+      cumulative += re[k] * re[k] + im[k] * im[k];
+      if (cumulative >= power * 0.85) { rolloffBin = k; break; }
+    }
+    
+    return {
+      centroid: position(weightedSum / magnitudeSum),
+      rolloff: position(rolloffBin * hzPerBin),
+      flatness: Math.min(1, Math.exp(logPower / count) / (power / count)),
+      zcr: zcr
+    };
+  }
+
+  /**
+   * Calculate the 12-bin chromagram (C, C#, ... B): the magnitude of every
+   * spectral peak added to its pitch class, scaled so the strongest class is 1
+   * (all 0 for silence). Peak frequencies are interpolated between FFT bins,
+   * so low notes resolve even where bins are wider than a semitone.
+   * Like calculateBands(), reads the spectrum in the FFT buffers.
+   */
+  calculateChroma() {
+    const re = this.fftRe, im = this.fftIm;
+    const { lo, hi } = this.chromaBins;
+    const hzPerBin = this.sampleRate / this.fftSize;
+    const chroma = new Array(12).fill(0);
+    const magnitude = (k) => Math.sqrt(re[k] * re[k] + im[k] * im[k]);
+    
+    for (let k = lo; k <= hi; k++) {
+      const a = magnitude(k - 1), b = magnitude(k), c = magnitude(k + 1);
+      if (!(b > a && b >= c)) continue;
+      
+      // Parabolic interpolation on log magnitudes
+      const la = Math.log(a + 1e-12), lb = Math.log(b), lc = Math.log(c + 1e-12);
+      const denom = la - 2 * lb + lc;
+      const offset = denom !== 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (la - lc) / denom)) : 0;
+      chroma[pitchClassOf((k + offset) * hzPerBin)] += b;
+    }
+    
+    const max = Math.max(...chroma);
+    // Ignore numerical noise from digital silence
+    if (max < 1e-6 * this.windowGain) return chroma.fill(0);
+    return chroma.map(v => v / max);
+  }
+
+  /**
+   * Estimate the track's key from the loudness-weighted average chromagram.
+   * Stored on `this.key`; uses raw rms, so it runs before applyDynamics().
+   */
+  applyKeyDetection(store) {
+    const chroma = store.data.chroma, rms = store.data.rms;
+    const profile = new Array(12).fill(0);
+    
+    for (let f = 0; f < store.frameCount; f++) {
+      for (let p = 0; p < 12; p++) profile[p] += chroma[f * 12 + p] * rms[f];
+    }
+    
+    this.key = detectKey(profile);
+    if (this.key) {
+      console.log(`Detected key: ${this.key.name} (confidence ${this.key.confidence})`);
+    }
+    return this.key;
+  }
+
+  /**
+   * Calculate spectral flux: summed positive change of the (dB scaled)
+   * spectrum since the previous frame, normalized to 0-1. Only levels within
+   * the configured dB range count, whatever range freq is held on.
+   */
+  calculateSpectralFlux(prevFreq, freq) {
+    if (!prevFreq) return 0;
+    
+    const { minDecibels, maxDecibels } = this.options;
+    const levelBytesPerDb = 255 / (this.levelRange.maxDecibels - this.levelRange.minDecibels);
+    const lo = Math.round((minDecibels - this.levelRange.minDecibels) * levelBytesPerDb);
+    const hi = Math.round((maxDecibels - this.levelRange.minDecibels) * levelBytesPerDb);
+    const level = (v) => Math.max(lo, Math.min(hi, v));
+    
+    let flux = 0;
+    for (let i = 0; i < freq.length; i++) {
+      const diff = level(freq[i]) - level(prevFreq[i]);
+      if (diff > 0) flux += diff;
+    }
+    
+    return flux / (freq.length * (hi - lo));
+  }
+
+  /**
+   * Detect onsets, tempo and beats, then add onsetStrength, onset, beat,
+   * bpm and beatPhase to every frame. The tempo summary is kept on `this.tempo`.
+   */
+  applyBeatTracking(store, onsetEnvelope, fps) {
+    const result = detectBeats(onsetEnvelope, fps, {
+      minBpm: this.options.minBpm,
+      maxBpm: this.options.maxBpm
+    });
+    const bpm = Math.round(result.bpm * 100) / 100;
+    
+    for (let i = 0; i < store.frameCount; i++) {
+      store.set('onsetStrength', i, result.novelty[i]);
+      store.set('onset', i, result.onsets[i]);
+      store.set('beat', i, result.beatFlags[i]);
+      store.set('bpm', i, bpm);
+      store.set('beatPhase', i, result.beatPhase[i]);
+    }
+    
+    this.tempo = {
+      bpm: bpm,
+      confidence: Math.round(result.confidence * 100) / 100,
+      beats: result.beats.map(frame => frame / fps)
+    };
+    
+    console.log(`Detected tempo: ${bpm} BPM (${result.beats.length} beats)`);
+    return this.tempo;
+  }
+
+  /**
+   * Noise gate, auto-gain and attack/release smoothing over the finished
+   * store, in that order. Gating works on the raw levels so its threshold is
+   * real dBFS; auto-gain shifts freq in dB and scales rms, using one gain for
+   * the whole segment (and for L/R alike) so relative dynamics survive.
+   * With auto-gain, freq and bands arrive on the wider levelRange, unclamped,
+   * and are only brought to the configured dB range once shifted.
+   */
+  applyDynamics(store, fps) {
+    const { noiseGate, autoGain, minDecibels, maxDecibels } = this.options;
+    const bytesPerDb = 255 / (maxDecibels - minDecibels);
+    const levelBytesPerDb = 255 / (this.levelRange.maxDecibels - this.levelRange.minDecibels);
+    const freqFields = ['freq', 'freqL', 'freqR'];
+    const channels = [['rms', 'wave'], ['rmsL', 'waveL'], ['rmsR', 'waveR']];
+    const bands = store.data.bands; // Same dB scale as freq, as 0-1
+    
+    if (noiseGate !== null) {
+      const floor = Math.round((noiseGate - this.levelRange.minDecibels) * levelBytesPerDb);
+      const bandFloor = (noiseGate - minDecibels) / (maxDecibels - minDecibels);
+      const rmsFloor = Math.pow(10, noiseGate / 20);
+      for (const name of freqFields) {
+        const freq = store.data[name];
+        for (let i = 0; i < freq.length; i++) if (freq[i] < floor) freq[i] = 0;
+      }
+      for (let i = 0; i < bands.length; i++) if (bands[i] < bandFloor) bands[i] = 0;
+      for (const [rmsName, waveName] of channels) {
+        const rms = store.data[rmsName];
+        for (let f = 0; f < store.frameCount; f++) {
+          if (rms[f] >= rmsFloor) continue;
+          rms[f] = 0;
+          store.get(waveName, f).fill(127); // calculateWaveform's silence value
+        }
+      }
+    }
+    
+    this.gain = null;
+    if (autoGain) {
+      const { gainPercentile, gainTarget, rmsTarget, maxGainDb } = this.options;
+      // Byte at minDecibels: only levels the configured range shows count
+      const audible = Math.floor((minDecibels - this.levelRange.minDecibels) * levelBytesPerDb);
+      const freqLevel = percentile(store.data.freq, gainPercentile, audible);
+      const rmsLevel = percentile(store.data.rms, gainPercentile);
+      const levelDb = this.levelRange.minDecibels + freqLevel / levelBytesPerDb;
+      const freqGainDb = freqLevel > audible
+        ? Math.max(-maxGainDb, Math.min(maxGainDb, minDecibels + gainTarget * (maxDecibels - minDecibels) - levelDb))
+        : 0;
+      const maxFactor = Math.pow(10, maxGainDb / 20);
+      const rmsGain = rmsLevel > 0 ? Math.max(1 / maxFactor, Math.min(maxFactor, rmsTarget / rmsLevel)) : 1;
+      
+      // Requantize each levelRange byte onto the configured range, shifted
+      // by the gain; silent (or gated) bins stay silent
+      const requantize = new Uint8Array(256);
+      for (let b = 1; b < 256; b++) {
+        const db = this.levelRange.minDecibels + b / levelBytesPerDb + freqGainDb;
+        requantize[b] = Math.max(0, Math.min(255, Math.round((db - minDecibels) * bytesPerDb)));
+      }
+      for (const name of freqFields) {
+        const freq = store.data[name];
+        for (let i = 0; i < freq.length; i++) freq[i] = requantize[freq[i]];
+      }
+      const bandOffset = freqGainDb / (maxDecibels - minDecibels);
+      for (let i = 0; i < bands.length; i++) {
+        bands[i] = bands[i] !== 0 ? Math.max(0, Math.min(1, bands[i] + bandOffset)) : 0;
+      }
+      for (const [rmsName] of channels) {
+        const rms = store.data[rmsName];
+        for (let f = 0; f < rms.length; f++) rms[f] = Math.min(1, rms[f] * rmsGain);
+      }
+      
+      this.gain = {
+        freqDb: Math.round(freqGainDb * 10) / 10,
+        rms: Math.round(rmsGain * 1000) / 1000
+      };
+      console.log(`Auto-gain: ${this.gain.freqDb}dB spectrum, x${this.gain.rms} rms`);
+    }
+    
+    const coefficients = (values) => ({
+      attack: Float64Array.from(values, v => envelopeCoefficient(v.attack, fps)),
+      release: Float64Array.from(values, v => envelopeCoefficient(v.release, fps))
+    });
+    const binEnvelopes = coefficients(this.binMap.map(({ center }) =>
+      bandEnvelope((center * this.sampleRate) / this.fftSize, this.options)));
+    const namedEnvelopes = coefficients(this.bands.map(([, [minHz, maxHz]]) =>
+      bandEnvelope(Math.sqrt(minHz * maxHz), this.options)));
+    const levelEnvelope = coefficients([{ attack: this.options.attack, release: this.options.release }]);
+    const smooths = (c) => c.attack.some(v => v > 0) || c.release.some(v => v > 0);
+    
+    if (smooths(binEnvelopes)) {
+      for (const name of freqFields) {
+        smoothEnvelope(store.data[name], this.binCount, binEnvelopes.attack, binEnvelopes.release);
+      }
+      smoothEnvelope(bands, this.bandNames.length, namedEnvelopes.attack, namedEnvelopes.release);
+    }
+    if (smooths(levelEnvelope)) {
+      for (const [rmsName] of channels) {
+        smoothEnvelope(store.data[rmsName], 1, levelEnvelope.attack, levelEnvelope.release);
+      }
+    }
+  }
+
   /**
    * Calculate waveform data
    */
   calculateWaveform(samples) {
-    const wave = new Array(this.fftSize).fill(0);
+    const wave = new Array(this.binCount).fill(0);
     
     if (samples.length === 0) return wave;
     
-    const chunkSize = Math.floor(samples.length / this.fftSize);
+    // Frames shorter than binCount spread their samples over the bins
+    const chunkSize = Math.max(1, Math.floor(samples.length / this.binCount));
+    const stride = Math.min(chunkSize, samples.length / this.binCount);
     
-    for (let i = 0; i < this.fftSize; i++) {
-      const start = i * chunkSize;
+    for (let i = 0; i < this.binCount; i++) {
+      const start = Math.floor(i * stride);
       const end = Math.min(start + chunkSize, samples.length);
       
       let sum = 0;
@@ -176,6 +1082,9 @@ class AudioAnalyzer {
 }
 
 module.exports = AudioAnalyzer;
+module.exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+module.exports.DEFAULT_BANDS = DEFAULT_BANDS;
+module.exports.ANALYZER_VERSION = ANALYZER_VERSION;
 
 
 
@@ -0,0 +1,191 @@
+/**
+ * Onset, tempo and beat detection over a per-frame onset (spectral flux) envelope.
+ * Tempo comes from autocorrelation of the envelope, beats from dynamic
+ * programming beat tracking (Ellis 2007) so the grid follows real onsets.
+ */
+
+const DEFAULT_OPTIONS = {
+  minBpm: 60,
+  maxBpm: 200,
+  preferredBpm: 120,      // Centre of the tempo prior, resolves half/double tempo
+  tightness: 100,         // How strongly beats are held to the detected period
+  onsetThreshold: 0.1,    // Minimum normalized strength for a peak to count as an onset
+  minOnsetStrength: 0.01  // Minimum rise of the raw envelope over its local mean; weaker input has no tempo
+};
+
+/**
+ * Local mean of `values` over a centred window of +/- `radius` frames
+ */
+function movingAverage(values, radius) {
+  const out = new Float32Array(values.length);
+  let sum = 0, count = 0;
+  let lo = 0, hi = -1;
+  for (let i = 0; i < values.length; i++) {
+    while (hi < Math.min(values.length - 1, i + radius)) { sum += values[++hi]; count++; }
+    while (lo < i - radius) { sum -= values[lo++]; count--; }
+    out[i] = sum / count;
+  }
+  return out;
+}
+
+/**
+ * Remove the local mean and scale to 0..1 so thresholds are track independent.
+ * Rises under `floor` are dropped first, so the jitter of a steady tone isn't
+ * scaled up into a rhythm.
+ */
+function normalizeEnvelope(envelope, fps, floor = 0) {
+  const mean = movingAverage(envelope, Math.max(1, Math.round(fps * 0.25)));
+  const novelty = new Float32Array(envelope.length);
+  let max = 0;
+  for (let i = 0; i < envelope.length; i++) {
+    const rise = envelope[i] - mean[i];
+    novelty[i] = rise >= floor ? Math.max(0, rise) : 0;
+    if (novelty[i] > max) max = novelty[i];
+  }
+  if (max > 0) {
+    for (let i = 0; i < novelty.length; i++) novelty[i] /= max;
+  }
+  return novelty;
+}
+
+/**
+ * Peak-pick onsets: local maxima above the threshold within +/- 50ms
+ */
+function pickOnsets(novelty, fps, threshold) {
+  const radius = Math.max(1, Math.round(fps * 0.05));
+  const onsets = new Uint8Array(novelty.length);
+  for (let i = 0; i < novelty.length; i++) {
+    const v = novelty[i];
+    if (v < threshold) continue;
+    let isPeak = true;
+    for (let j = Math.max(0, i - radius); j <= Math.min(novelty.length - 1, i + radius); j++) {
+      if (novelty[j] > v || (novelty[j] === v && j < i)) { isPeak = false; break; }
+    }
+    if (isPeak) onsets[i] = 1;
+  }
+  return onsets;
+}
+
+/**
+ * Estimate the beat period (in frames) from the autocorrelation of the novelty curve
+ */
+function estimateTempo(novelty, fps, options) {
+  const { minBpm, maxBpm, preferredBpm } = options;
+  const minLag = Math.max(1, Math.floor((60 * fps) / maxBpm));
+  const maxLag = Math.min(novelty.length - 1, Math.ceil((60 * fps) / minBpm));
+  if (maxLag <= minLag) return null;
+
+  const acf = new Float64Array(maxLag + 2);
+  for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+    let sum = 0;
+    for (let i = lag; i < novelty.length; i++) sum += novelty[i] * novelty[i - lag];
+    acf[lag] = sum / (novelty.length - lag);
+  }
+
+  // Log-gaussian tempo prior (1 octave wide) around the preferred tempo
+  const preferredLag = (60 * fps) / preferredBpm;
+  let bestLag = 0, bestScore = 0, total = 0;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const weight = Math.exp(-0.5 * Math.pow(Math.log2(lag / preferredLag), 2));
+    const score = acf[lag] * weight;
+    total += acf[lag];
+    if (score > bestScore) { bestScore = score; bestLag = lag; }
+  }
+  if (!bestLag || bestScore <= 0) return null;
+
+  // Parabolic interpolation for sub-frame lag precision
+  const a = acf[bestLag - 1], b = acf[bestLag], c = acf[bestLag + 1];
+  const denom = a - 2 * b + c;
+  const offset = denom !== 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denom)) : 0;
+  const period = bestLag + offset;
+
+  return {
+    period,
+    bpm: (60 * fps) / period,
+    confidence: total > 0 ? Math.min(1, acf[bestLag] / (total / (maxLag - minLag + 1)) / 4) : 0
+  };
+}
+
+/**
+ * Dynamic programming beat tracker: pick beat frames that land on strong onsets
+ * while keeping inter-beat intervals close to `period`
+ */
+function trackBeats(novelty, period, tightness) {
+  const n = novelty.length;
+  const score = new Float64Array(n);
+  const backlink = new Int32Array(n).fill(-1);
+  const minPrev = Math.round(period / 2), maxPrev = Math.round(period * 2);
+
+  for (let t = 0; t < n; t++) {
+    let best = 0, bestPrev = -1;
+    for (let prev = t - maxPrev; prev <= t - minPrev; prev++) {
+      if (prev < 0) continue;
+      const penalty = tightness * Math.pow(Math.log((t - prev) / period), 2);
+      const candidate = score[prev] - penalty;
+      if (bestPrev === -1 || candidate > best) { best = candidate; bestPrev = prev; }
+    }
+    score[t] = novelty[t] + (bestPrev === -1 ? 0 : Math.max(0, best));
+    backlink[t] = best > 0 ? bestPrev : -1;
+  }
+
+  // Start from the best scoring frame in the final beat period
+  let t = Math.max(0, n - Math.ceil(period));
+  for (let i = t; i < n; i++) if (score[i] > score[t]) t = i;
+
+  const beats = [];
+  while (t >= 0) {
+    beats.unshift(t);
+    t = backlink[t];
+  }
+  return beats;
+}
+
+/**
+ * Run onset detection, tempo estimation and beat tracking on an onset envelope.
+ * Returns per-frame arrays plus the global tempo and beat grid (in frames).
+ */
+function detectBeats(envelope, fps, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const frameCount = envelope.length;
+  const novelty = normalizeEnvelope(envelope, fps, opts.minOnsetStrength);
+  const onsets = pickOnsets(novelty, fps, opts.onsetThreshold);
+  const beatFlags = new Uint8Array(frameCount);
+  const beatPhase = new Float32Array(frameCount);
+
+  const tempo = estimateTempo(novelty, fps, opts);
+  if (!tempo) {
+    return { bpm: 0, confidence: 0, beats: [], novelty, onsets, beatFlags, beatPhase };
+  }
+
+  const beats = trackBeats(novelty, tempo.period, opts.tightness);
+  beats.forEach(frame => { beatFlags[frame] = 1; });
+
+  // Phase runs 0 -> 1 between consecutive beats, extrapolated past the ends
+  for (let i = 0, b = 0; i < frameCount; i++) {
+    while (b < beats.length && beats[b] <= i) b++;
+    const prev = b > 0 ? beats[b - 1] : beats[0] - tempo.period * Math.ceil((beats[0] - i) / tempo.period);
+    const next = b > 0 && b < beats.length ? beats[b] : prev + tempo.period;
+    const span = next - prev;
+    const phase = span > 0 ? (i - prev) / span : 0;
+    beatPhase[i] = phase - Math.floor(phase);
+  }
+
+  return {
+    bpm: tempo.bpm,
+    confidence: tempo.confidence,
+    beats,
+    novelty,
+    onsets,
+    beatFlags,
+    beatPhase
+  };
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  detectBeats,
+  estimateTempo,
+  trackBeats,
+  normalizeEnvelope,
+  pickOnsets
+};
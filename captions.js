@@ -0,0 +1,171 @@
+/**
+ * Timed lyrics/captions: parses LRC (incl. enhanced word timestamps), SRT and
+ * WebVTT into cues of { start, end, text, words } with times in seconds.
+ * `words` ([{ start, end, text }]) is only set when the file has word-level
+ * timing (`<mm:ss.xx>` in LRC, `<hh:mm:ss.mmm>` in VTT).
+ */
+
+const FORMATS = ['lrc', 'srt', 'vtt'];
+
+// LRC has no end times: a line stays up until the next one, for at most this long
+const LRC_MAX_LINE_DURATION = 8;
+
+/**
+ * Parse "hh:mm:ss.mmm", "mm:ss.xx" or "mm:ss,mmm" into seconds (NaN if invalid)
+ */
+function parseTimestamp(value) {
+  const match = /^(?:(\d+):)?(\d{1,3}):(\d{1,2})(?:[.,](\d{1,3}))?$/.exec(value.trim());
+  if (!match) return NaN;
+  const [, hours, minutes, seconds, fraction] = match;
+  return (parseInt(hours || '0', 10) * 3600)
+    + parseInt(minutes, 10) * 60
+    + parseInt(seconds, 10)
+    + (fraction ? parseInt(fraction, 10) / Math.pow(10, fraction.length) : 0);
+}
+
+/**
+ * Strip markup (<i>, <c.yellow>, {\an8}, ...) from caption text
+ */
+function stripTags(text) {
+  return text.replace(/<[^>]*>/g, '').replace(/\{\\[^}]*\}/g, '').trim();
+}
+
+/**
+ * Split text with inline <timestamp> markers into timed words. Returns null
+ * when there are none. Each word runs until the next one starts (the last
+ * one until `end`).
+ */
+function parseWords(text, end) {
+  const parts = text.split(/<(\d+:\d+(?::\d+)?(?:[.,]\d+)?)>/);
+  if (parts.length < 3) return null;
+
+  const words = [];
+  for (let i = 1; i < parts.length; i += 2) {
+    const start = parseTimestamp(parts[i]);
+    const word = stripTags(parts[i + 1] || '');
+    if (!Number.isFinite(start) || !word) continue;
+    words.push({ start, end, text: word });
+  }
+  for (let i = 0; i < words.length - 1; i++) words[i].end = words[i + 1].start;
+  return words.length ? words : null;
+}
+
+function parseLrc(content) {
+  const lines = [];
+  let offset = 0;
+
+  for (const raw of content.split(/\r?\n/)) {
+    const line = raw.trim();
+    const offsetTag = /^\[offset:\s*([+-]?\d+)\s*\]$/i.exec(line);
+    if (offsetTag) {
+      // Positive offsets make lyrics appear sooner
+      offset = parseInt(offsetTag[1], 10) / 1000;
+      continue;
+    }
+
+    // A line may carry several timestamps: [00:12.00][01:30.00]Chorus
+    const stamps = [];
+    let rest = line;
+    let tag;
+    while ((tag = /^\[(\d+:\d+(?:[.:]\d+)?)\]/.exec(rest))) {
+      // Some files write centiseconds after a colon: [mm:ss:xx]
+      stamps.push(parseTimestamp(tag[1].replace(/^(\d+:\d+):(\d+)$/, '$1.$2')));
+      rest = rest.slice(tag[0].length);
+    }
+    for (const start of stamps) {
+      if (Number.isFinite(start)) lines.push({ start, text: rest });
+    }
+  }
+
+  lines.sort((a, b) => a.start - b.start);
+  return lines
+    .map((line, i) => {
+      const limit = line.start + LRC_MAX_LINE_DURATION;
+      const end = i + 1 < lines.length ? Math.min(lines[i + 1].start, limit) : limit;
+      const words = parseWords(line.text, end);
+      const shift = (time) => time - offset;
+      return {
+        start: shift(line.start),
+        end: shift(end),
+        text: words ? words.map(word => word.text).join(' ') : stripTags(line.text),
+        words: words && words.map(word => ({ start: shift(word.start), end: shift(word.end), text: word.text }))
+      };
+    })
+    .filter(cue => cue.text);
+}
+
+/**
+ * SRT and WebVTT share the "start --> end" cue block structure
+ */
+function parseCueBlocks(content, format) {
+  const blocks = content.replace(/\r/g, '').split(/\n{2,}/);
+  const cues = [];
+
+  for (const block of blocks) {
+    const lines = block.split('\n').filter(line => line.trim() !== '');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) continue; // Header, NOTE, STYLE or stray text
+
+    const [startText, endPart] = lines[timingIndex].split('-->');
+    const start = parseTimestamp(startText);
+    const end = parseTimestamp(endPart.trim().split(/\s+/)[0]); // VTT cue settings follow the end time
+    if (!Number.isFinite(start) || !Number.isFinite(end)) {
+      throw new Error(`Invalid ${format.toUpperCase()} timing line: "${lines[timingIndex]}"`);
+    }
+
+    const raw = lines.slice(timingIndex + 1).join('\n');
+    const words = format === 'vtt' ? parseWords(raw, end) : null;
+    const text = words ? words.map(word => word.text).join(' ') : stripTags(raw);
+    if (text) cues.push({ start, end, text, words });
+  }
+
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Guess the format from the file name, then from the content
+ */
+function detectFormat(content, filename = '') {
+  const ext = filename.split('.').pop().toLowerCase();
+  if (FORMATS.includes(ext)) return ext;
+  if (/^WEBVTT/.test(content)) return 'vtt';
+  if (/\d+:\d+[,.]\d+\s*-->/.test(content)) return 'srt';
+  if (/^\s*\[\d+:\d+/m.test(content)) return 'lrc';
+  throw new Error('Unrecognized captions format (expected LRC, SRT or WebVTT)');
+}
+
+/**
+ * Parse a captions file. Throws if it is not valid or contains no cues.
+ */
+function parseCaptions(content, filename) {
+  const text = content.replace(/^\uFEFF/, '');
+  const format = detectFormat(text, filename);
+  const cues = format === 'lrc' ? parseLrc(text) : parseCueBlocks(text, format);
+  if (cues.length === 0) {
+    throw new Error(`No timed cues found in ${format.toUpperCase()} captions`);
+  }
+  return { format, cues };
+}
+
+/**
+ * The cue showing at `time` (seconds), or null. `cues` must be sorted by start.
+ */
+function findCue(cues, time) {
+  let lo = 0, hi = cues.length - 1, found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (cues[mid].start <= time) { found = mid; lo = mid + 1; } else { hi = mid - 1; }
+  }
+  // Overlapping cues: prefer the latest one that is still running
+  for (let i = found; i >= 0 && i > found - 4; i--) {
+    if (time < cues[i].end) return cues[i];
+  }
+  return null;
+}
+
+module.exports = {
+  FORMATS,
+  parseTimestamp,
+  parseCaptions,
+  findCue
+};
@@ -0,0 +1,80 @@
+/**
+ * Level dynamics for analyzed audio features: a noise gate, track-level
+ * percentile auto-gain and attack/release envelopes. Everything works in place
+ * on FrameStore-style typed arrays (`frameCount * size` values, frame-major).
+ */
+
+/**
+ * One-pole smoothing coefficient for a time constant of `ms` at `fps`
+ * (0 = follow the input instantly)
+ */
+function envelopeCoefficient(ms, fps) {
+  return ms > 0 ? Math.exp(-1000 / (ms * fps)) : 0;
+}
+
+/**
+ * Value at percentile `p` (0-100) of the values above `floor`, or 0 if there are none.
+ * Silence is excluded so gaps and fades don't drag the reference level down.
+ * Byte arrays (freq) are counted in a 256-bin histogram rather than copied and
+ * sorted; float arrays (one value per frame, e.g. rms) are sorted.
+ */
+function percentile(values, p, floor = 0) {
+  if (values instanceof Uint8Array) {
+    const histogram = new Uint32Array(256);
+    for (let i = 0; i < values.length; i++) histogram[values[i]]++;
+    let count = 0;
+    for (let v = Math.floor(floor) + 1; v < 256; v++) count += histogram[v];
+    if (count === 0) return 0;
+    let remaining = Math.min(count - 1, Math.floor((p / 100) * count));
+    for (let v = Math.floor(floor) + 1; v < 256; v++) {
+      if (remaining < histogram[v]) return v;
+      remaining -= histogram[v];
+    }
+  }
+  const audible = Float64Array.from(values).filter(v => v > floor).sort();
+  if (audible.length === 0) return 0;
+  const index = Math.min(audible.length - 1, Math.floor((p / 100) * audible.length));
+  return audible[index];
+}
+
+/**
+ * Apply attack/release envelopes over time to each of the `size` values per
+ * frame. `attack` and `release` are coefficient arrays (one per value) from
+ * envelopeCoefficient(); integer arrays are rounded.
+ */
+function smoothEnvelope(array, size, attack, release) {
+  const frameCount = array.length / size;
+  const round = !(array instanceof Float32Array || array instanceof Float64Array);
+  const state = new Float64Array(size);
+
+  for (let i = 0; i < size; i++) state[i] = array[i];
+
+  for (let f = 1; f < frameCount; f++) {
+    const offset = f * size;
+    for (let i = 0; i < size; i++) {
+      const input = array[offset + i];
+      const coeff = input > state[i] ? attack[i] : release[i];
+      state[i] = input + (state[i] - input) * coeff;
+      array[offset + i] = round ? Math.round(state[i]) : state[i];
+    }
+  }
+}
+
+/**
+ * Attack/release time (ms) for a bin centred at `frequency`: the first
+ * band override whose maxFrequency covers it, else the defaults
+ */
+function bandEnvelope(frequency, { attack, release, bandEnvelopes }) {
+  const band = (bandEnvelopes || []).find(b => frequency <= b.maxFrequency);
+  return {
+    attack: band && band.attack !== undefined ? band.attack : attack,
+    release: band && band.release !== undefined ? band.release : release
+  };
+}
+
+module.exports = {
+  envelopeCoefficient,
+  percentile,
+  smoothEnvelope,
+  bandEnvelope
+};
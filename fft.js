@@ -0,0 +1,131 @@
+/**
+ * Spectrum helpers for AudioAnalyzer: analysis windows, an in-place radix-2 FFT
+ * and the mapping from linear FFT bins onto log/mel spaced output bins.
+ */
+
+const WINDOWS = {
+  hann: (i, n) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1)),
+  hamming: (i, n) => 0.54 - 0.46 * Math.cos((2 * Math.PI * i) / (n - 1)),
+  blackman: (i, n) => 0.42 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1)) + 0.08 * Math.cos((4 * Math.PI * i) / (n - 1)),
+  rectangular: () => 1
+};
+
+const SCALES = ['log', 'mel', 'linear'];
+
+function isPowerOfTwo(n) {
+  return Number.isInteger(n) && n > 0 && (n & (n - 1)) === 0;
+}
+
+/**
+ * Build window coefficients of the given type
+ */
+function createWindow(type, size) {
+  const fn = WINDOWS[type];
+  if (!fn) {
+    throw new Error(`Unknown window type "${type}" (expected one of: ${Object.keys(WINDOWS).join(', ')})`);
+  }
+  const win = new Float32Array(size);
+  for (let i = 0; i < size; i++) win[i] = fn(i, size);
+  return win;
+}
+
+/**
+ * In-place iterative radix-2 FFT. `re` and `im` must share a power-of-2 length.
+ */
+function fft(re, im) {
+  const n = re.length;
+  if (!isPowerOfTwo(n)) {
+    throw new Error(`FFT size must be a power of 2, got ${n}`);
+  }
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      let t = re[i]; re[i] = re[j]; re[j] = t;
+      t = im[i]; im[i] = im[j]; im[j] = t;
+    }
+  }
+
+  // Butterflies
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const step = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const cos = Math.cos(step * k), sin = Math.sin(step * k);
+        const a = start + k, b = a + half;
+        const tr = re[b] * cos - im[b] * sin;
+        const ti = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tr; im[b] = im[a] - ti;
+        re[a] += tr; im[a] += ti;
+      }
+    }
+  }
+}
+
+const hzToMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+const melToHz = (mel) => 700 * (Math.pow(10, mel / 2595) - 1);
+
+/**
+ * Compute the output bin edges (in Hz) for a log, mel or linear frequency axis
+ */
+function createBinEdges(binCount, minFrequency, maxFrequency, scale) {
+  if (!SCALES.includes(scale)) {
+    throw new Error(`Unknown frequency scale "${scale}" (expected one of: ${SCALES.join(', ')})`);
+  }
+  const edges = new Float64Array(binCount + 1);
+  for (let i = 0; i <= binCount; i++) {
+    const t = i / binCount;
+    if (scale === 'log') {
+      edges[i] = minFrequency * Math.pow(maxFrequency / minFrequency, t);
+    } else if (scale === 'mel') {
+      const lo = hzToMel(minFrequency), hi = hzToMel(maxFrequency);
+      edges[i] = melToHz(lo + (hi - lo) * t);
+    } else {
+      edges[i] = minFrequency + (maxFrequency - minFrequency) * t;
+    }
+  }
+  return edges;
+}
+
+/**
+ * Precompute which FFT bins fall inside each [minHz, maxHz) range. Ranges
+ * narrower than the FFT resolution (lo > hi) are read by interpolating at `center`.
+ */
+function createRangeMap(fftSize, sampleRate, ranges) {
+  const hzPerBin = sampleRate / fftSize;
+  const maxIndex = fftSize / 2 - 1;
+
+  return ranges.map(([minHz, maxHz]) => ({
+    lo: Math.ceil(minHz / hzPerBin),
+    hi: Math.min(maxIndex, Math.ceil(maxHz / hzPerBin) - 1),
+    center: Math.min(maxIndex, Math.sqrt(minHz * maxHz) / hzPerBin)
+  }));
+}
+
+/**
+ * Precompute which FFT bins feed each output bin. Narrow low-frequency output
+ * bins that contain no FFT bin centre fall back to interpolating at their centre.
+ */
+function createBinMap(fftSize, sampleRate, binCount, minFrequency, maxFrequency, scale) {
+  const edges = createBinEdges(binCount, minFrequency, maxFrequency, scale);
+  const ranges = [];
+  for (let i = 0; i < binCount; i++) ranges.push([edges[i], edges[i + 1]]);
+  return createRangeMap(fftSize, sampleRate, ranges);
+}
+
+module.exports = {
+  WINDOWS,
+  SCALES,
+  isPowerOfTwo,
+  createWindow,
+  fft,
+  createBinEdges,
+  createRangeMap,
+  createBinMap,
+  hzToMel,
+  melToHz
+};
@@ -0,0 +1,231 @@
+/**
+ * Compact per-frame storage for analyzed audio features.
+ * Every field lives in one typed array covering all frames, so an hour of
+ * analysis costs a few hundred MB of buffers instead of millions of boxed
+ * numbers. Frame objects are only materialized on demand via getFrame().
+ *
+ * Field kinds:
+ *   bytes  - Uint8Array, `size` values per frame (freq, wave: 0-255)
+ *   float  - Float32Array, `size` values per frame (size 1 reads as a number)
+ *   double - Float64Array, for values that need full precision (time)
+ *   flag   - Uint8Array, one boolean per frame
+ *
+ * A vector field may name its values with `keys` (e.g. bands: ['sub', 'bass', ...]);
+ * it then reads and writes as an object ({ sub, bass, ... }) instead of an array.
+ */
+
+// Binary layout: "VXFS" | u16 format version | u16 reserved | u32 header length |
+// JSON header (frameCount, fps, fields, meta) | field arrays in field order.
+// Every section starts on an 8-byte boundary; arrays are little-endian.
+const MAGIC = 'VXFS';
+const FORMAT_VERSION = 1;
+const PREAMBLE_SIZE = 12;
+
+const align8 = (n) => Math.ceil(n / 8) * 8;
+const clampByte = (v) => Math.max(0, Math.min(255, Math.round(v)));
+
+const KINDS = {
+  bytes: Uint8Array,
+  float: Float32Array,
+  double: Float64Array,
+  flag: Uint8Array
+};
+
+class FrameStore {
+  constructor(frameCount, fps, fields) {
+    this.frameCount = frameCount;
+    this.fps = fps;
+    this.fields = fields.map(field => ({ size: 1, ...field }));
+    this.data = {};
+
+    for (const field of this.fields) {
+      const ArrayType = KINDS[field.kind];
+      if (!ArrayType) {
+        throw new Error(`Unknown frame field kind "${field.kind}" for ${field.name}`);
+      }
+      if (field.kind === 'flag' && field.size !== 1) {
+        throw new Error(`Flag field ${field.name} must have size 1`);
+      }
+      if (field.keys && field.keys.length !== field.size) {
+        throw new Error(`Field ${field.name} has ${field.keys.length} keys for ${field.size} values`);
+      }
+      this.data[field.name] = new ArrayType(frameCount * field.size);
+    }
+  }
+
+  getField(name) {
+    const field = this.fields.find(f => f.name === name);
+    if (!field) {
+      throw new Error(`Unknown frame field "${name}"`);
+    }
+    return field;
+  }
+
+  hasField(name) {
+    return this.fields.some(f => f.name === name);
+  }
+
+  /**
+   * Write one field of one frame. Vectors are copied; byte fields are rounded
+   * and clamped to 0-255 rather than wrapping.
+   */
+  set(name, index, value) {
+    const field = this.getField(name);
+    const array = this.data[name];
+    const encode = field.kind === 'bytes' ? clampByte : (v) => v;
+    if (field.size === 1) {
+      array[index] = field.kind === 'flag' ? (value ? 1 : 0) : encode(value);
+      return;
+    }
+    const offset = index * field.size;
+    for (let i = 0; i < field.size; i++) {
+      const v = field.keys && !ArrayBuffer.isView(value) && !Array.isArray(value)
+        ? value[field.keys[i]]
+        : value[i];
+      array[offset + i] = encode(v || 0);
+    }
+  }
+
+  /**
+   * Read one field of one frame. Vectors come back as zero-copy subarrays,
+   * keyed fields as plain objects.
+   */
+  get(name, index) {
+    const field = this.getField(name);
+    const array = this.data[name];
+    if (field.size === 1) {
+      return field.kind === 'flag' ? array[index] === 1 : array[index];
+    }
+    const offset = index * field.size;
+    if (field.keys) {
+      const values = {};
+      field.keys.forEach((key, i) => { values[key] = array[offset + i]; });
+      return values;
+    }
+    return array.subarray(offset, offset + field.size);
+  }
+
+  setFrame(index, frame) {
+    for (const field of this.fields) {
+      if (frame[field.name] !== undefined) this.set(field.name, index, frame[field.name]);
+    }
+  }
+
+  getFrame(index) {
+    const frame = {};
+    for (const field of this.fields) {
+      frame[field.name] = this.get(field.name, index);
+    }
+    return frame;
+  }
+
+  /**
+   * Frame with vectors copied into plain arrays, for JSON output
+   */
+  getPlainFrame(index) {
+    const frame = this.getFrame(index);
+    for (const field of this.fields) {
+      if (field.size > 1 && !field.keys) frame[field.name] = Array.from(frame[field.name]);
+    }
+    return frame;
+  }
+
+  /**
+   * A store exposing only the named fields, sharing this store's arrays
+   */
+  select(names) {
+    const fields = names.map(name => this.getField(name));
+    const subset = Object.create(FrameStore.prototype);
+    subset.frameCount = this.frameCount;
+    subset.fps = this.fps;
+    subset.fields = fields;
+    subset.data = {};
+    for (const field of fields) subset.data[field.name] = this.data[field.name];
+    return subset;
+  }
+
+  /**
+   * Materialize every frame (for callers that still want the whole array)
+   */
+  toArray() {
+    const frames = new Array(this.frameCount);
+    for (let i = 0; i < this.frameCount; i++) frames[i] = this.getFrame(i);
+    return frames;
+  }
+
+  *[Symbol.iterator]() {
+    for (let i = 0; i < this.frameCount; i++) yield this.getFrame(i);
+  }
+
+  /**
+   * Serialize to the compact binary format. `meta` is any JSON-safe value
+   * stored alongside (tempo, analyzer options, ...).
+   */
+  serialize(meta = {}) {
+    const header = Buffer.from(JSON.stringify({
+      frameCount: this.frameCount,
+      fps: this.fps,
+      fields: this.fields,
+      meta
+    }), 'utf8');
+
+    let size = align8(PREAMBLE_SIZE + header.length);
+    for (const field of this.fields) size += align8(this.data[field.name].byteLength);
+
+    const out = Buffer.alloc(size);
+    out.write(MAGIC, 0, 'ascii');
+    out.writeUInt16LE(FORMAT_VERSION, 4);
+    out.writeUInt32LE(header.length, 8);
+    header.copy(out, PREAMBLE_SIZE);
+
+    let offset = align8(PREAMBLE_SIZE + header.length);
+    for (const field of this.fields) {
+      const array = this.data[field.name];
+      Buffer.from(array.buffer, array.byteOffset, array.byteLength).copy(out, offset);
+      offset += align8(array.byteLength);
+    }
+    return out;
+  }
+
+  /**
+   * Rebuild a FrameStore from serialize() output. Returns { store, meta }.
+   */
+  static deserialize(buffer) {
+    if (buffer.length < PREAMBLE_SIZE || buffer.toString('ascii', 0, 4) !== MAGIC) {
+      throw new Error('Invalid frame data: missing VXFS signature');
+    }
+    const version = buffer.readUInt16LE(4);
+    if (version !== FORMAT_VERSION) {
+      throw new Error(`Unsupported frame data version ${version} (expected ${FORMAT_VERSION})`);
+    }
+
+    const headerLength = buffer.readUInt32LE(8);
+    if (PREAMBLE_SIZE + headerLength > buffer.length) {
+      throw new Error('Truncated frame data: header extends past the end of the buffer');
+    }
+    const header = JSON.parse(buffer.toString('utf8', PREAMBLE_SIZE, PREAMBLE_SIZE + headerLength));
+    const store = new FrameStore(header.frameCount, header.fps, header.fields);
+
+    let offset = align8(PREAMBLE_SIZE + headerLength);
+    for (const field of store.fields) {
+      const array = store.data[field.name];
+      if (offset + array.byteLength > buffer.length) {
+        throw new Error(`Truncated frame data: field ${field.name} extends past the end of the buffer`);
+      }
+      new Uint8Array(array.buffer, array.byteOffset, array.byteLength)
+        .set(buffer.subarray(offset, offset + array.byteLength));
+      offset += align8(array.byteLength);
+    }
+
+    return { store, meta: header.meta };
+  }
+
+  /**
+   * Total bytes held by the field buffers
+   */
+  get byteLength() {
+    return Object.values(this.data).reduce((sum, array) => sum + array.byteLength, 0);
+  }
+}
+
+module.exports = FrameStore;
@@ -0,0 +1,70 @@
+/**
+ * Pitch-class helpers and musical key estimation from an accumulated
+ * chromagram, using the Krumhansl-Kessler key profiles.
+ */
+
+const PITCH_CLASSES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Krumhansl-Kessler probe tone ratings, index 0 = tonic
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+/**
+ * Pitch class (0 = C .. 11 = B) of the nearest equal-tempered note to `hz` (A4 = 440Hz)
+ */
+function pitchClassOf(hz) {
+  const midi = Math.round(69 + 12 * Math.log2(hz / 440));
+  return ((midi % 12) + 12) % 12;
+}
+
+/**
+ * Pearson correlation of two equal-length arrays
+ */
+function correlate(a, b) {
+  const n = a.length;
+  let meanA = 0, meanB = 0;
+  for (let i = 0; i < n; i++) { meanA += a[i]; meanB += b[i]; }
+  meanA /= n; meanB /= n;
+
+  let cov = 0, varA = 0, varB = 0;
+  for (let i = 0; i < n; i++) {
+    const da = a[i] - meanA, db = b[i] - meanB;
+    cov += da * db; varA += da * da; varB += db * db;
+  }
+  return varA > 0 && varB > 0 ? cov / Math.sqrt(varA * varB) : 0;
+}
+
+/**
+ * Estimate the key from a 12-bin chroma profile summed over the track.
+ * Returns { tonic, pitchClass, mode, name, confidence } or null for silence.
+ */
+function detectKey(chroma) {
+  if (!chroma.some(v => v > 0)) return null;
+
+  let best = null;
+  for (let tonic = 0; tonic < 12; tonic++) {
+    // Rotate so the candidate tonic lines up with the profile's index 0
+    const rotated = PITCH_CLASSES.map((_, i) => chroma[(i + tonic) % 12]);
+    for (const [mode, profile] of [['major', MAJOR_PROFILE], ['minor', MINOR_PROFILE]]) {
+      const score = correlate(rotated, profile);
+      if (!best || score > best.score) best = { tonic, mode, score };
+    }
+  }
+
+  return {
+    tonic: PITCH_CLASSES[best.tonic],
+    pitchClass: best.tonic,
+    mode: best.mode,
+    name: `${PITCH_CLASSES[best.tonic]} ${best.mode}`,
+    confidence: Math.round(Math.max(0, best.score) * 100) / 100
+  };
+}
+
+module.exports = {
+  PITCH_CLASSES,
+  MAJOR_PROFILE,
+  MINOR_PROFILE,
+  pitchClassOf,
+  correlate,
+  detectKey
+};
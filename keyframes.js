@@ -0,0 +1,174 @@
+/**
+ * Keyframe tracks for animating layer, background and logo properties.
+ * A track is { property, keys: [{ t, value, easing }] }: `property` is a
+ * dotted path ('opacity', 'transform.x', 'clip.width'), `t` is seconds from
+ * the start of the render and `easing` shapes the move to the next key.
+ * Numbers and #rrggbb colors are interpolated; other values (booleans,
+ * palette ids, ...) hold until the next key.
+ */
+
+// CSS timing functions as cubic-bezier control points
+const EASING_PRESETS = {
+  linear: null,
+  step: null,
+  ease: [0.25, 0.1, 0.25, 1],
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1]
+};
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Progress (0-1) along a CSS-style cubic-bezier(x1, y1, x2, y2) at time fraction `x`
+ */
+function cubicBezier([x1, y1, x2, y2], x) {
+  const curve = (a, b, s) => 3 * a * s * (1 - s) * (1 - s) + 3 * b * s * s * (1 - s) + s * s * s;
+  const slope = (a, b, s) => 3 * a * (1 - s) * (1 - s) + 6 * (b - a) * s * (1 - s) + 3 * (1 - b) * s * s;
+
+  // Newton's method for the curve parameter at x, falling back to bisection
+  let s = x;
+  for (let i = 0; i < 8; i++) {
+    const error = curve(x1, x2, s) - x;
+    const d = slope(x1, x2, s);
+    if (Math.abs(error) < 1e-6) return curve(y1, y2, s);
+    if (Math.abs(d) < 1e-6) break;
+    s -= error / d;
+  }
+  let lo = 0, hi = 1;
+  s = x;
+  for (let i = 0; i < 30; i++) {
+    if (curve(x1, x2, s) < x) lo = s; else hi = s;
+    s = (lo + hi) / 2;
+  }
+  return curve(y1, y2, s);
+}
+
+/**
+ * Whether `easing` is a preset name or valid cubic-bezier control points
+ */
+function isValidEasing(easing) {
+  if (Array.isArray(easing)) {
+    return easing.length === 4 && easing.every(Number.isFinite)
+      && easing[0] >= 0 && easing[0] <= 1 && easing[2] >= 0 && easing[2] <= 1;
+  }
+  return Object.prototype.hasOwnProperty.call(EASING_PRESETS, easing);
+}
+
+/**
+ * Eased progress (0-1) for a key's `easing`: a preset name or [x1, y1, x2, y2]
+ */
+function ease(easing = 'linear', progress) {
+  if (easing === 'step') return 0;
+  const points = Array.isArray(easing) ? easing : EASING_PRESETS[easing];
+  return points ? cubicBezier(points, progress) : progress;
+}
+
+function interpolate(from, to, progress) {
+  if (typeof from === 'number' && typeof to === 'number') {
+    return from + (to - from) * progress;
+  }
+  if (COLOR_PATTERN.test(from) && COLOR_PATTERN.test(to)) {
+    const channel = (hex, i) => parseInt(hex.slice(1 + i * 2, 3 + i * 2), 16);
+    return '#' + [0, 1, 2]
+      .map(i => Math.round(channel(from, i) + (channel(to, i) - channel(from, i)) * progress).toString(16).padStart(2, '0'))
+      .join('');
+  }
+  return progress < 1 ? from : to;
+}
+
+/**
+ * Value of a track at `time`. Before the first key and after the last the
+ * nearest key's value holds.
+ */
+function evaluateTrack(track, time) {
+  const keys = track.keys;
+  if (time <= keys[0].t) return keys[0].value;
+
+  for (let i = 0; i < keys.length - 1; i++) {
+    const from = keys[i], to = keys[i + 1];
+    if (time < to.t) {
+      const progress = (time - from.t) / (to.t - from.t);
+      return interpolate(from.value, to.value, ease(from.easing, progress));
+    }
+  }
+  return keys[keys.length - 1].value;
+}
+
+/**
+ * Copy of `target` with a dotted-path property replaced, copying each object
+ * along the path so the config itself is never modified
+ */
+function setPath(target, path, value) {
+  const [head, ...rest] = path.split('.');
+  const copy = { ...target };
+  copy[head] = rest.length ? setPath(target[head] || {}, rest.join('.'), value) : value;
+  return copy;
+}
+
+/**
+ * `target` (a layer, background or logo config) with its `keyframes` tracks
+ * evaluated at `time` seconds. Returns `target` itself when it has none.
+ */
+function applyKeyframes(target, time) {
+  if (!target || !target.keyframes || target.keyframes.length === 0) return target;
+
+  let animated = target;
+  for (const track of target.keyframes) {
+    animated = setPath(animated, track.property, evaluateTrack(track, time));
+  }
+  return animated;
+}
+
+/**
+ * Check the keyframe tracks of one config object, throwing on the first problem.
+ * `label` names the object in error messages (e.g. "layers[2]").
+ */
+function validateKeyframes(tracks, label) {
+  if (tracks === undefined) return;
+  if (!Array.isArray(tracks)) {
+    throw new Error(`${label}.keyframes must be an array of tracks`);
+  }
+
+  tracks.forEach((track, index) => {
+    const where = `${label}.keyframes[${index}]`;
+    if (!track || typeof track.property !== 'string' || !/^\w+(\.\w+)*$/.test(track.property)) {
+      throw new Error(`${where} needs a property name, e.g. "opacity" or "transform.x"`);
+    }
+    if (track.property === 'keyframes') {
+      throw new Error(`${where} cannot animate keyframes`);
+    }
+    if (!Array.isArray(track.keys) || track.keys.length === 0) {
+      throw new Error(`${where} (${track.property}) needs at least one key`);
+    }
+
+    let previous = -Infinity;
+    for (const key of track.keys) {
+      if (!key || !Number.isFinite(key.t) || key.t < 0) {
+        throw new Error(`${where} (${track.property}) has a key without a valid time "t"`);
+      }
+      if (key.t <= previous) {
+        throw new Error(`${where} (${track.property}) keys must be in increasing time order`);
+      }
+      if (key.value === undefined) {
+        throw new Error(`${where} (${track.property}) has a key at ${key.t}s without a value`);
+      }
+      if (key.easing !== undefined && !isValidEasing(key.easing)) {
+        throw new Error(`${where} (${track.property}) has invalid easing ${JSON.stringify(key.easing)} `
+          + `(use ${Object.keys(EASING_PRESETS).join(', ')} or [x1, y1, x2, y2] with x in 0-1)`);
+      }
+      previous = key.t;
+    }
+  });
+}
+
+module.exports = {
+  EASING_PRESETS,
+  cubicBezier,
+  isValidEasing,
+  ease,
+  evaluateTrack,
+  setPath,
+  applyKeyframes,
+  validateKeyframes
+};
@@ -0,0 +1,170 @@
+/**
+ * Registry of visual modes. A mode is a module exporting
+ * { id, description, params, init(state, frame, params), render(ctx, frame, params, state) }:
+ * `params` is its parameter schema, `init` (optional) fills the per-layer
+ * `state` on the first frame and `render` draws one frame. `frame` carries the size,
+ * time, audio, colors, seeded `random` and helpers (see VisualRenderer.modeFrame).
+ * The built-in modes load from ./modes; more can come from another directory
+ * (loadModes) or be registered directly (registerMode).
+ *
+ * A schema maps names to { type, default, min, max, options, description }:
+ * `type` is number, integer, boolean, string or color (#rrggbb), `min`/`max`
+ * bound numbers and `options` lists a string's allowed values. Layers override
+ * the defaults in `layer.params`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PARAM_TYPES = ['number', 'integer', 'boolean', 'string', 'color'];
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const modes = new Map();
+
+/**
+ * Why `value` doesn't fit a parameter definition ("must be ..."), or null if it does
+ */
+function checkParam(param, value) {
+  switch (param.type) {
+    case 'number':
+    case 'integer': {
+      const valid = param.type === 'integer' ? Number.isInteger(value) : Number.isFinite(value);
+      if (valid && (param.min === undefined || value >= param.min) && (param.max === undefined || value <= param.max)) {
+        return null;
+      }
+      const kind = param.type === 'integer' ? 'an integer' : 'a number';
+      if (param.min !== undefined && param.max !== undefined) return `must be ${kind} from ${param.min} to ${param.max}`;
+      if (param.min !== undefined) return `must be ${kind} >= ${param.min}`;
+      if (param.max !== undefined) return `must be ${kind} <= ${param.max}`;
+      return `must be ${kind}`;
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'color':
+      return typeof value === 'string' && COLOR_PATTERN.test(value) ? null : 'must be a #rrggbb color';
+    default:
+      if (typeof value !== 'string') return 'must be a string';
+      return !param.options || param.options.includes(value) ? null : `must be one of ${param.options.join(', ')}`;
+  }
+}
+
+/**
+ * Add a mode, throwing if it is malformed or its id is taken
+ */
+function registerMode(mode) {
+  if (!mode || typeof mode.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(mode.id)) {
+    throw new Error('Mode needs an id of lowercase letters, digits and dashes');
+  }
+  if (modes.has(mode.id)) {
+    throw new Error(`Mode "${mode.id}" is already registered`);
+  }
+  if (typeof mode.render !== 'function') {
+    throw new Error(`Mode "${mode.id}" needs a render(ctx, frame, params, state) function`);
+  }
+  if (mode.init !== undefined && typeof mode.init !== 'function') {
+    throw new Error(`Mode "${mode.id}" init must be a function`);
+  }
+  if (mode.params !== undefined && (!mode.params || typeof mode.params !== 'object' || Array.isArray(mode.params))) {
+    throw new Error(`Mode "${mode.id}" params must be an object of parameter definitions`);
+  }
+  for (const [name, param] of Object.entries(mode.params || {})) {
+    if (!param || !PARAM_TYPES.includes(param.type)) {
+      throw new Error(`Mode "${mode.id}" param "${name}" needs a type (${PARAM_TYPES.join(', ')})`);
+    }
+    for (const bound of ['min', 'max']) {
+      if (param[bound] !== undefined && !Number.isFinite(param[bound])) {
+        throw new Error(`Mode "${mode.id}" param "${name}" ${bound} must be a number`);
+      }
+    }
+    if (param.options !== undefined && !(Array.isArray(param.options) && param.options.every(option => typeof option === 'string'))) {
+      throw new Error(`Mode "${mode.id}" param "${name}" options must be an array of strings`);
+    }
+    const problem = checkParam(param, param.default);
+    if (problem) {
+      throw new Error(`Mode "${mode.id}" param "${name}" default ${problem}`);
+    }
+  }
+
+  modes.set(mode.id, { params: {}, ...mode });
+  return mode;
+}
+
+/**
+ * Register every .js module in `dir`, in file name order
+ */
+function loadModes(dir) {
+  const files = fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort();
+  for (const file of files) {
+    registerMode(require(path.resolve(dir, file)));
+  }
+  return files.length;
+}
+
+function getMode(id) {
+  return modes.get(id);
+}
+
+/**
+ * Installed modes with their parameter schemas, for clients
+ */
+function listModes() {
+  return [...modes.values()].map(({ id, description, params }) => ({
+    id,
+    description: description || '',
+    params
+  }));
+}
+
+/**
+ * A mode's parameter defaults overridden by a layer's `params`. Keyframed or
+ * modulated numbers are clamped to their range (and integers rounded); other
+ * invalid values fall back to the default.
+ */
+function resolveParams(mode, overrides) {
+  const params = {};
+  for (const [name, param] of Object.entries(mode.params)) {
+    let value = overrides ? overrides[name] : undefined;
+    if ((param.type === 'number' || param.type === 'integer') && Number.isFinite(value)) {
+      if (param.type === 'integer') value = Math.round(value);
+      value = Math.max(param.min ?? -Infinity, Math.min(param.max ?? Infinity, value));
+    }
+    params[name] = value !== undefined && !checkParam(param, value) ? value : param.default;
+  }
+  return params;
+}
+
+/**
+ * Check a layer's `params` against its mode's schema, throwing on the first
+ * problem. `label` names the layer in error messages (e.g. "layers[2]").
+ */
+function validateParams(mode, params, label) {
+  if (params === undefined) return;
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    throw new Error(`${label}.params must be an object`);
+  }
+
+  const names = Object.keys(mode.params);
+  for (const [name, value] of Object.entries(params)) {
+    if (!names.includes(name)) {
+      throw new Error(`${label}.params.${name} is not a parameter of mode "${mode.id}"`
+        + (names.length ? ` (use ${names.join(', ')})` : ' (it has none)'));
+    }
+    const problem = checkParam(mode.params[name], value);
+    if (problem) {
+      throw new Error(`${label}.params.${name} ${problem} (mode "${mode.id}")`);
+    }
+  }
+}
+
+loadModes(path.join(__dirname, 'modes'));
+
+module.exports = {
+  PARAM_TYPES,
+  registerMode,
+  loadModes,
+  getMode,
+  listModes,
+  resolveParams,
+  validateParams
+};
@@ -0,0 +1,23 @@
+module.exports = {
+  id: 'bars',
+  description: 'Classic frequency bars',
+  params: {
+    barCount: { type: 'integer', default: 96, min: 8, max: 512, description: 'Number of bars' },
+    height: { type: 'number', default: 0.6, min: 0, max: 1, description: 'Tallest bar, fraction of the frame height' }
+  },
+
+  render(ctx, { width: w, height: h, audio, colors, pick }, { barCount, height }) {
+    const freq = audio.freq;
+    const binSize = Math.floor(freq.length / barCount) || 1;
+    const barWidth = w / barCount;
+
+    for (let i = 0; i < barCount; i++) {
+      let sum = 0;
+      for (let j = 0; j < binSize; j++) sum += freq[i * binSize + j] || 0;
+      const v = sum / (binSize * 255);
+      const barH = v * (h * height);
+      ctx.fillStyle = pick(colors, 1 + (i % (colors.length - 1)));
+      ctx.fillRect(i * barWidth, h - barH, barWidth - 1, barH);
+    }
+  }
+};
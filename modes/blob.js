@@ -0,0 +1,31 @@
+module.exports = {
+  id: 'blob',
+  description: 'Organic audio-reactive blob',
+  params: {
+    points: { type: 'integer', default: 180, min: 12, max: 720, description: 'Outline points' },
+    size: { type: 'number', default: 0.28, min: 0.05, max: 1, description: 'Base radius, fraction of the smaller frame side' },
+    beatScale: { type: 'number', default: 0.12, min: 0, max: 1, description: 'Extra size on each beat' }
+  },
+
+  render(ctx, { width: w, height: h, audio, colors, pick, beatPulse }, { points, size, beatScale }) {
+    const freq = audio.freq;
+    const cx = w * 0.5, cy = h * 0.5;
+    const base = Math.min(w, h) * size * (1 + beatPulse() * beatScale);
+    ctx.fillStyle = pick(colors, 2);
+    ctx.globalAlpha = 0.75;
+    ctx.beginPath();
+    const N = points, step = Math.floor(freq.length / N) || 1;
+
+    for (let i = 0; i <= N; i++) {
+      const v = (freq[i * step] ?? 0) / 255;
+      const r = base * (1 + v * 0.6);
+      const a = (i / N) * Math.PI * 2;
+      const x = cx + Math.cos(a) * r;
+      const y = cy + Math.sin(a) * r;
+      if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+    }
+    ctx.closePath();
+    ctx.fill();
+    ctx.globalAlpha = 1;
+  }
+};
@@ -0,0 +1,24 @@
+module.exports = {
+  id: 'city-eq',
+  description: 'Skyline-style equalizer',
+  params: {
+    columns: { type: 'integer', default: 72, min: 8, max: 512, description: 'Number of buildings' },
+    height: { type: 'number', default: 0.8, min: 0, max: 1, description: 'Tallest building, fraction of the frame height' }
+  },
+
+  render(ctx, { width: w, height: h, audio, colors, pick }, { columns, height }) {
+    const freq = audio.freq;
+    const N = columns, step = Math.floor(freq.length / N) || 1, colW = w / N;
+
+    for (let i = 0; i < N; i++) {
+      let sum = 0;
+      for (let j = 0; j < step; j++) sum += freq[i * step + j] || 0;
+      const v = sum / (step * 255);
+      const hgt = v * (h * height);
+      const bw = Math.max(2, colW * 0.6);
+      const x = i * colW + (colW - bw) / 2;
+      ctx.fillStyle = pick(colors, 1 + (i % (colors.length - 1)));
+      ctx.fillRect(x, h - hgt, bw, hgt);
+    }
+  }
+};
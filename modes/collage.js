@@ -0,0 +1,71 @@
+const VERTICES = [
+  [-1, -1, -1], [1, -1, -1], [1, 1, -1], [-1, 1, -1],
+  [-1, -1, 1], [1, -1, 1], [1, 1, 1], [-1, 1, 1]
+];
+const FACES = [[0,1,2,3],[4,5,6,7],[0,1,5,4],[2,3,7,6],[0,3,7,4],[1,2,6,5]];
+
+const rotateY = (p, angle) => {
+  const cos = Math.cos(angle), sin = Math.sin(angle);
+  return [p[0] * cos + p[2] * sin, p[1], -p[0] * sin + p[2] * cos];
+};
+const rotateX = (p, angle) => {
+  const cos = Math.cos(angle), sin = Math.sin(angle);
+  return [p[0], p[1] * cos - p[2] * sin, p[1] * sin + p[2] * cos];
+};
+
+module.exports = {
+  id: 'collage',
+  description: '4 spinning cubes (3D projection)',
+  params: {
+    size: { type: 'number', default: 0.3, min: 0.05, max: 1, description: 'Cube size, fraction of the smaller frame side' },
+    speed: { type: 'number', default: 1, min: 0, max: 20, description: 'Animation speed' }
+  },
+
+  render(ctx, { width: w, height: h, time: elapsed, colors, pick }, { size, speed }) {
+    const time = elapsed * speed;
+    const positions = [
+      { x: w * 0.3, y: h * 0.3 },
+      { x: w * 0.7, y: h * 0.3 },
+      { x: w * 0.3, y: h * 0.7 },
+      { x: w * 0.7, y: h * 0.7 }
+    ];
+
+    const cubeSize = Math.min(w, h) * size;
+
+    positions.forEach((pos, cubeIndex) => {
+      const cx = pos.x, cy = pos.y;
+      const rotX = time * 0.3 + cubeIndex * Math.PI * 0.5;
+      const rotY = time * 0.5 + cubeIndex * Math.PI * 0.25;
+
+      const project = (p) => {
+        const perspective = 500 / (500 + p[2] * cubeSize);
+        return [cx + p[0] * cubeSize * perspective, cy + p[1] * cubeSize * perspective, p[2]];
+      };
+
+      const transformed = VERTICES.map(v => project(rotateX(rotateY(v, rotY), rotX)));
+      const facesWithDepth = FACES.map((face, i) => ({
+        face, i, depth: face.reduce((sum, vi) => sum + transformed[vi][2], 0) / face.length
+      }));
+      facesWithDepth.sort((a, b) => a.depth - b.depth);
+
+      facesWithDepth.forEach(({ face, i }) => {
+        const fv = face.map(vi => transformed[vi]);
+        const v1 = [fv[1][0] - fv[0][0], fv[1][1] - fv[0][1]];
+        const v2 = [fv[2][0] - fv[0][0], fv[2][1] - fv[0][1]];
+        if (v1[0] * v2[1] - v1[1] * v2[0] > 0) {
+          ctx.fillStyle = pick(colors, (i + cubeIndex) % colors.length);
+          ctx.beginPath();
+          ctx.moveTo(fv[0][0], fv[0][1]);
+          fv.forEach(v => ctx.lineTo(v[0], v[1]));
+          ctx.closePath();
+          ctx.fill();
+          ctx.strokeStyle = "#000";
+          ctx.lineWidth = 2;
+          ctx.globalAlpha = 0.8;
+          ctx.stroke();
+          ctx.globalAlpha = 1;
+        }
+      });
+    });
+  }
+};
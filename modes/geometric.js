@@ -0,0 +1,64 @@
+const SHAPES = ['triangle', 'square', 'pentagon', 'hexagon', 'triangle', 'square'];
+
+module.exports = {
+  id: 'geometric',
+  description: 'Animated shapes',
+  params: {
+    rings: { type: 'integer', default: 3, min: 1, max: 4, description: 'Rings of six shapes' },
+    speed: { type: 'number', default: 1, min: 0, max: 20, description: 'Animation speed' }
+  },
+
+  render(ctx, { width: w, height: h, time: elapsed, colors, pick }, { rings, speed }) {
+    const time = elapsed * speed;
+    const cx = w * 0.5, cy = h * 0.5;
+
+    ctx.save();
+    ctx.translate(cx, cy);
+    ctx.rotate(time * 0.5);
+
+    const maxRadius = Math.max(w, h) * 0.4;
+
+    for (let layerNum = 0; layerNum < rings; layerNum++) {
+      for (let i = 0; i < 6; i++) {
+        const radius = (maxRadius / 3) * (layerNum + 1) + Math.sin(time * 2 + i + layerNum) * 30;
+        const angle = (i / 6) * Math.PI * 2 + time + layerNum * Math.PI / 3;
+        const x = Math.cos(angle) * (maxRadius * 0.7);
+        const y = Math.sin(angle) * (maxRadius * 0.7);
+
+        ctx.fillStyle = pick(colors, (i + layerNum) % colors.length);
+        ctx.globalAlpha = 0.9 - layerNum * 0.2;
+
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(time * (1 + i * 0.5 + layerNum * 0.3));
+        ctx.beginPath();
+
+        if (SHAPES[i] === 'triangle') {
+          ctx.moveTo(0, -radius);
+          ctx.lineTo(-radius * 0.866, radius * 0.5);
+          ctx.lineTo(radius * 0.866, radius * 0.5);
+        } else if (SHAPES[i] === 'square') {
+          ctx.rect(-radius * 0.7, -radius * 0.7, radius * 1.4, radius * 1.4);
+        } else if (SHAPES[i] === 'pentagon') {
+          for (let j = 0; j < 5; j++) {
+            const a = (j / 5) * Math.PI * 2 - Math.PI / 2;
+            const px = Math.cos(a) * radius, py = Math.sin(a) * radius;
+            if (j === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+          }
+        } else {
+          for (let j = 0; j < 6; j++) {
+            const a = (j / 6) * Math.PI * 2 - Math.PI / 2;
+            const px = Math.cos(a) * radius, py = Math.sin(a) * radius;
+            if (j === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+          }
+        }
+
+        ctx.closePath();
+        ctx.fill();
+        ctx.restore();
+      }
+    }
+    ctx.restore();
+    ctx.globalAlpha = 1;
+  }
+};
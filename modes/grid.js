@@ -0,0 +1,31 @@
+module.exports = {
+  id: 'grid',
+  description: 'Disco floor flashing grid (rows follow the frequency bands, bass at the bottom)',
+  params: {
+    gridSize: { type: 'integer', default: 24, min: 8, max: 256, description: 'Tile size in px' }
+  },
+
+  render(ctx, { width: w, height: h, time, audio, colors, pick, random, rowBandLevel }, { gridSize }) {
+    const rms = audio.rms;
+    const cols = Math.floor(w / gridSize), rows = Math.floor(h / gridSize);
+
+    for (let row = 0; row < rows; row++) {
+      const intensity = rowBandLevel(row, rows);
+      for (let col = 0; col < cols; col++) {
+
+        const shouldFlash = rms > 0.15 && (
+          intensity > 0.2 || (rms > 0.3 && random() < 0.4) || (time * 4 + row + col) % 1 < 0.1
+        );
+
+        if (shouldFlash) {
+          const x = col * gridSize, y = row * gridSize;
+          const colorIndex = 1 + ((col + row + Math.floor(intensity * 5)) % (colors.length - 1));
+          ctx.fillStyle = pick(colors, colorIndex);
+          ctx.globalAlpha = 0.8 + intensity * 0.2;
+          ctx.fillRect(x, y, gridSize, gridSize);
+        }
+      }
+    }
+    ctx.globalAlpha = 1;
+  }
+};
@@ -0,0 +1,37 @@
+module.exports = {
+  id: 'kaleidoscope',
+  description: 'Kaleidoscope effect',
+  params: {
+    segments: { type: 'integer', default: 12, min: 2, max: 48, description: 'Mirrored segments' },
+    speed: { type: 'number', default: 1, min: 0, max: 20, description: 'Animation speed' }
+  },
+
+  render(ctx, { width: w, height: h, time: elapsed, colors, pick }, { segments, speed }) {
+    const time = elapsed * speed;
+    const cx = w * 0.5, cy = h * 0.5;
+    const maxRadius = Math.max(w, h) * 0.8;
+
+    ctx.save();
+    ctx.translate(cx, cy);
+
+    for (let seg = 0; seg < segments; seg++) {
+      ctx.save();
+      ctx.rotate((seg / segments) * Math.PI * 2);
+
+      for (let i = 0; i < 30; i++) {
+        const radius = (i / 30) * maxRadius;
+        const angle = time * 2 + i * 0.3;
+        const x = Math.cos(angle) * radius * 0.9;
+        const y = Math.sin(angle) * radius * 0.9;
+        ctx.fillStyle = pick(colors, i % colors.length);
+        ctx.globalAlpha = 1 - radius / maxRadius * 0.5;
+        ctx.beginPath();
+        ctx.arc(x, y, 12 + Math.sin(time * 3 + i) * 6, 0, Math.PI * 2);
+        ctx.fill();
+      }
+      ctx.restore();
+    }
+    ctx.restore();
+    ctx.globalAlpha = 1;
+  }
+};
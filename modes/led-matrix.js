@@ -0,0 +1,26 @@
+module.exports = {
+  id: 'led-matrix',
+  description: 'Dot matrix display',
+  params: {
+    columns: { type: 'integer', default: 64, min: 4, max: 256, description: 'Dots across' },
+    rows: { type: 'integer', default: 36, min: 4, max: 256, description: 'Dots down' }
+  },
+
+  render(ctx, { width: w, height: h, audio, colors, pick }, { columns: cols, rows }) {
+    const freq = audio.freq;
+    const cw = w / cols, rh = h / rows;
+
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < cols; x++) {
+        const idx = Math.floor(((y * cols + x) / (cols * rows)) * freq.length);
+        const v = (freq[idx] ?? 0) / 255;
+        if (v < 0.1) continue;
+        ctx.fillStyle = pick(colors, 1 + ((x + y) % (colors.length - 1)));
+        const s = Math.min(cw, rh) * v * 0.9;
+        ctx.beginPath();
+        ctx.arc(x * cw + cw / 2, y * rh + rh / 2, s / 2, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+  }
+};
@@ -0,0 +1,37 @@
+module.exports = {
+  id: 'lissajous',
+  description: 'Stereo goniometer (XY scope)',
+  params: {
+    size: { type: 'number', default: 0.35, min: 0.05, max: 1, description: 'Scope size, fraction of the smaller frame side' },
+    opacity: { type: 'number', default: 0.85, min: 0, max: 1, description: 'Trace opacity' }
+  },
+
+  render(ctx, { width: w, height: h, audio, colors, pick }, params) {
+    const wave = audio.wave;
+    const cx = w * 0.5, cy = h * 0.5;
+    const scale = Math.min(w, h) * params.size;
+    ctx.strokeStyle = pick(colors, 2);
+    ctx.globalAlpha = params.opacity;
+    ctx.beginPath();
+
+    const len = wave.length;
+    const { waveL, waveR } = audio;
+    for (let i = 0; i < len; i++) {
+      let x, y;
+      if (waveL && waveR) {
+        // Goniometer: side (L - R) horizontal, mid (L + R) vertical, mono is a vertical line
+        const l = (waveL[i] - 128) / 128, r = (waveR[i] - 128) / 128;
+        x = cx + ((l - r) / Math.SQRT2) * scale * 0.8;
+        y = cy - ((l + r) / Math.SQRT2) * scale * 0.8;
+      } else {
+        const a = wave[i] - 128;
+        const b = wave[(i + (len >> 2)) % len] - 128;
+        x = cx + (a / 128) * scale * 0.8;
+        y = cy + (b / 128) * scale * 0.8;
+      }
+      if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+    }
+    ctx.stroke();
+    ctx.globalAlpha = 1;
+  }
+};
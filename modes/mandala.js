@@ -0,0 +1,37 @@
+module.exports = {
+  id: 'mandala',
+  description: 'Rotating mandala pattern',
+  params: {
+    rings: { type: 'integer', default: 12, min: 1, max: 16, description: 'Rings of petals' },
+    speed: { type: 'number', default: 1, min: 0, max: 20, description: 'Animation speed' }
+  },
+
+  render(ctx, { width: w, height: h, time: elapsed, colors, pick }, { rings, speed }) {
+    const time = elapsed * speed;
+    const cx = w * 0.5, cy = h * 0.5;
+    const maxRadius = Math.max(w, h) * 0.7;
+
+    ctx.save();
+    ctx.translate(cx, cy);
+    ctx.rotate(time * 0.3);
+
+    for (let ring = 0; ring < rings; ring++) {
+      const radius = (ring + 1) * (maxRadius / rings);
+      const petals = 6 + ring * 3;
+      const angleStep = (Math.PI * 2) / petals;
+
+      for (let i = 0; i < petals; i++) {
+        const angle = i * angleStep + time * 0.5;
+        const x = Math.cos(angle) * radius;
+        const y = Math.sin(angle) * radius;
+        ctx.fillStyle = pick(colors, (ring + i) % colors.length);
+        ctx.globalAlpha = 0.9 - ring * 0.05;
+        ctx.beginPath();
+        ctx.arc(x, y, maxRadius * 0.08 * (1 - ring * 0.05), 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+    ctx.restore();
+    ctx.globalAlpha = 1;
+  }
+};
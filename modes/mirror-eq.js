@@ -0,0 +1,29 @@
+module.exports = {
+  id: 'mirror-eq',
+  description: 'Mirrored frequency bars (left channel left, right channel right)',
+  params: {
+    barCount: { type: 'integer', default: 64, min: 4, max: 256, description: 'Bars per channel' },
+    height: { type: 'number', default: 0.45, min: 0, max: 0.5, description: 'Tallest bar above and below the center line, fraction of the frame height' }
+  },
+
+  render(ctx, { width: w, height: h, audio, colors, pick }, { barCount, height }) {
+    const freq = audio.freq;
+    // Left channel on the left half, right channel on the right (mono: both use freq)
+    const freqL = audio.freqL || freq, freqR = audio.freqR || freq;
+    const binSize = Math.floor(freq.length / barCount) || 1;
+    const barWidth = (w / 2) / barCount;
+    const level = (bins, i) => {
+      let sum = 0;
+      for (let j = 0; j < binSize; j++) sum += bins[i * binSize + j] || 0;
+      return sum / (binSize * 255);
+    };
+
+    for (let i = 0; i < barCount; i++) {
+      const barL = level(freqL, i) * (h * height);
+      const barR = level(freqR, i) * (h * height);
+      ctx.fillStyle = pick(colors, 1 + (i % (colors.length - 1)));
+      ctx.fillRect((w * 0.5) - (i + 1) * barWidth, (h * 0.5) - barL, barWidth - 1, barL * 2);
+      ctx.fillRect((w * 0.5) + i * barWidth, (h * 0.5) - barR, barWidth - 1, barR * 2);
+    }
+  }
+};
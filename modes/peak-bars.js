@@ -0,0 +1,23 @@
+module.exports = {
+  id: 'peak-bars',
+  description: 'Peak-detecting bars',
+  params: {
+    barCount: { type: 'integer', default: 96, min: 8, max: 512, description: 'Number of bars' },
+    height: { type: 'number', default: 0.6, min: 0, max: 1, description: 'Tallest bar, fraction of the frame height' }
+  },
+
+  render(ctx, { width: w, height: h, audio, colors, pick }, { barCount, height }) {
+    const freq = audio.freq;
+    const binSize = Math.floor(freq.length / barCount) || 1;
+    const barWidth = w / barCount;
+
+    for (let i = 0; i < barCount; i++) {
+      let peak = 0;
+      for (let j = 0; j < binSize; j++) peak = Math.max(peak, freq[i * binSize + j] || 0);
+      const v = peak / 255;
+      const barH = v * (h * height);
+      ctx.fillStyle = pick(colors, 1 + (i % (colors.length - 1)));
+      ctx.fillRect(i * barWidth, h - barH, barWidth - 1, barH);
+    }
+  }
+};
@@ -0,0 +1,29 @@
+module.exports = {
+  id: 'radar',
+  description: 'Rotating radar sweep',
+  params: {
+    speed: { type: 'number', default: 1, min: 0, max: 20, description: 'Sweep speed in radians per second' },
+    lineWidth: { type: 'number', default: 2, min: 0.5, max: 40, description: 'Outline width in px' }
+  },
+
+  render(ctx, { width: w, height: h, time, colors, pick }, { speed, lineWidth }) {
+    const cx = w * 0.5, cy = h * 0.5, radius = Math.min(w, h) * 0.45;
+    ctx.strokeStyle = pick(colors, 3);
+    ctx.lineWidth = lineWidth;
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+    ctx.stroke();
+
+    const angle = ((time * speed) % (Math.PI * 2));
+    const sweep = Math.PI / 12;
+
+    ctx.beginPath();
+    ctx.moveTo(cx, cy);
+    ctx.arc(cx, cy, radius, angle - sweep, angle + sweep);
+    ctx.closePath();
+    ctx.fillStyle = pick(colors, 3);
+    ctx.globalAlpha = 0.3;
+    ctx.fill();
+    ctx.globalAlpha = 1;
+  }
+};
@@ -0,0 +1,27 @@
+module.exports = {
+  id: 'radial',
+  description: 'Circular equalizer',
+  params: {
+    segments: { type: 'integer', default: 120, min: 8, max: 720, description: 'Number of wedges' },
+    radius: { type: 'number', default: 0.35, min: 0.05, max: 1, description: 'Base radius, fraction of the smaller frame side' }
+  },
+
+  render(ctx, { width: w, height: h, audio, colors, pick }, params) {
+    const freq = audio.freq;
+    const cx = w * 0.5, cy = h * 0.5;
+    const radius = Math.min(w, h) * params.radius;
+    const N = params.segments, step = Math.max(1, Math.floor(freq.length / N));
+
+    for (let i = 0; i < N; i++) {
+      const v = (freq[i * step] ?? 0) / 255;
+      const a0 = (i / N) * Math.PI * 2;
+      const a1 = ((i + 1) / N) * Math.PI * 2;
+      ctx.beginPath();
+      ctx.moveTo(cx, cy);
+      ctx.fillStyle = pick(colors, 1 + (i % (colors.length - 1)));
+      ctx.arc(cx, cy, radius * (0.4 + v * 0.9), a0, a1);
+      ctx.closePath();
+      ctx.fill();
+    }
+  }
+};
@@ -0,0 +1,49 @@
+function createDrop({ width: w, height: h, colors, pick, random }) {
+  return {
+    x: random() * w,
+    y: random() * h,
+    speed: random() * 200 + 100,
+    length: random() * 20 + 10,
+    thickness: random() * 2 + 0.5,
+    color: pick(colors, Math.floor(random() * colors.length))
+  };
+}
+
+module.exports = {
+  id: 'rain',
+  description: 'Falling rain particles',
+  params: {
+    count: { type: 'integer', default: 300, min: 1, max: 5000, description: 'Number of drops' },
+    speed: { type: 'number', default: 1, min: 0, max: 20, description: 'Fall speed' },
+    opacity: { type: 'number', default: 0.9, min: 0, max: 1, description: 'Drop opacity' }
+  },
+
+  init(state, frame, { count }) {
+    state.drops = Array.from({ length: count }, () => createDrop(frame));
+  },
+
+  render(ctx, frame, { count, speed, opacity }, state) {
+    const { width: w, height: h, colors, pick, random } = frame;
+    // Keyframed counts add or drop particles
+    while (state.drops.length < count) state.drops.push(createDrop(frame));
+    state.drops.length = count;
+
+    state.drops.forEach(drop => {
+      drop.y += drop.speed * 0.016 * speed;
+      if (drop.y > h) {
+        drop.x = random() * w;
+        drop.y = -drop.length;
+        drop.color = pick(colors, Math.floor(random() * colors.length));
+      }
+
+      ctx.strokeStyle = drop.color;
+      ctx.lineWidth = drop.thickness;
+      ctx.globalAlpha = opacity;
+      ctx.beginPath();
+      ctx.moveTo(drop.x, drop.y);
+      ctx.lineTo(drop.x, drop.y + drop.length);
+      ctx.stroke();
+    });
+    ctx.globalAlpha = 1;
+  }
+};
@@ -0,0 +1,25 @@
+module.exports = {
+  id: 'rings',
+  description: 'Concentric audio-reactive rings',
+  params: {
+    ringCount: { type: 'integer', default: 6, min: 1, max: 32, description: 'Number of rings' },
+    lineWidth: { type: 'number', default: 2, min: 0.5, max: 40, description: 'Ring width in px' },
+    beatScale: { type: 'number', default: 0.1, min: 0, max: 1, description: 'Extra size on each beat' }
+  },
+
+  render(ctx, { width: w, height: h, audio, colors, pick, beatPulse }, { ringCount, lineWidth, beatScale }) {
+    const freq = audio.freq;
+    const cx = w * 0.5, cy = h * 0.5;
+    ctx.lineWidth = lineWidth;
+    const pulse = 1 + beatPulse() * beatScale;
+
+    for (let i = 0; i < ringCount; i++) {
+      const idx = Math.floor((i / ringCount) * freq.length);
+      const v = (freq[idx] ?? 0) / 255;
+      ctx.strokeStyle = pick(colors, 1 + i);
+      ctx.beginPath();
+      ctx.arc(cx, cy, (Math.min(w, h) * 0.12) * (i + 1) * (0.8 + v * 0.6) * pulse, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  }
+};
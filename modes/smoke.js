@@ -0,0 +1,103 @@
+const { createCanvas } = require('canvas');
+
+module.exports = {
+  id: 'smoke',
+  description: 'Smoke/fog effect (density from bass, texture from mid, swirl from presence)',
+  params: {
+    resolution: { type: 'integer', default: 4, min: 1, max: 16, description: 'Downscale of the smoke texture (higher is faster and softer), set on the first frame' }
+  },
+
+  init(state, { width: w, height: h }, params) {
+    const scaleDown = params.resolution; // render at reduced res for performance
+    state.ow = Math.max(160, Math.floor(w / scaleDown));
+    state.oh = Math.max(90, Math.floor(h / scaleDown));
+    state.off = createCanvas(state.ow, state.oh);
+    state.octx = state.off.getContext('2d');
+    state.frame = 0;
+  },
+
+  render(ctx, { width: w, height: h, time, colors, pick, band }, params, state) {
+    // Audio reactivity
+    const bass = band('bass');
+    const mids = band('mid');
+    const highs = band('presence');
+
+    // Two palette colors to blend smoke between
+    const c1Hex = pick(colors, 1);
+    const c2Hex = pick(colors, 3);
+    const c1r = parseInt(c1Hex.slice(1, 3), 16), c1g = parseInt(c1Hex.slice(3, 5), 16), c1b = parseInt(c1Hex.slice(5, 7), 16);
+    const c2r = parseInt(c2Hex.slice(1, 3), 16), c2g = parseInt(c2Hex.slice(3, 5), 16), c2b = parseInt(c2Hex.slice(5, 7), 16);
+
+    state.frame++;
+
+    // Compute parameters
+    const density = 0.55 + bass * 0.45;
+    const baseScale = 0.008 + mids * 0.004;
+    const flow = time * (0.5 + bass * 1.2);
+    const swirlX = 0.8 + highs * 1.2;
+    const swirlY = 0.6 + highs * 1.0;
+
+    const { octx, ow, oh } = state;
+
+    // Update offscreen pixels every 2 frames for performance
+    if ((state.frame % 2) === 0) {
+      const imgData = octx.createImageData(ow, oh);
+      const data = imgData.data;
+
+      // Noise functions
+      const seed = Math.sin(time * 0.15) * 10000;
+      const hash = (x, y) => {
+        const s = Math.sin(x * 127.1 + y * 311.7 + seed) * 43758.5453;
+        return s - Math.floor(s);
+      };
+      const noise = (x, y) => {
+        const xi = Math.floor(x), yi = Math.floor(y);
+        const xf = x - xi, yf = y - yi;
+        const u = xf * xf * (3 - 2 * xf);
+        const v = yf * yf * (3 - 2 * yf);
+        const n00 = hash(xi, yi), n10 = hash(xi + 1, yi), n01 = hash(xi, yi + 1), n11 = hash(xi + 1, yi + 1);
+        const nx0 = n00 * (1 - u) + n10 * u;
+        const nx1 = n01 * (1 - u) + n11 * u;
+        return nx0 * (1 - v) + nx1 * v;
+      };
+      const fbm = (x, y) => {
+        let value = 0, amp = 0.5, f = 1.0;
+        for (let i = 0; i < 3; i++) {
+          value += amp * noise(x * f, y * f);
+          f *= 2.0;
+          amp *= 0.5;
+        }
+        return value;
+      };
+
+      let idx = 0;
+      for (let y = 0; y < oh; y++) {
+        const yy = (y + Math.cos((y + flow * 60) * 0.01) * (8 * swirlY));
+        for (let x = 0; x < ow; x++) {
+          const xx = (x + Math.sin((x - flow * 50) * 0.01) * (10 * swirlX));
+          const n = fbm(xx * baseScale, yy * baseScale);
+          const v = Math.pow(n, 1.35) * (0.7 + mids * 0.5);
+          const t = Math.min(1, Math.max(0, v));
+          const r = Math.floor(c1r * (1 - t) + c2r * t);
+          const g = Math.floor(c1g * (1 - t) + c2g * t);
+          const b = Math.floor(c1b * (1 - t) + c2b * t);
+          const a = Math.floor(255 * density);
+          data[idx++] = r; data[idx++] = g; data[idx++] = b; data[idx++] = a;
+        }
+      }
+      octx.putImageData(imgData, 0, 0);
+    }
+
+    // Draw scaled with high quality smoothing and blur
+    ctx.save();
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+
+    // Note: Canvas in Node.js doesn't support filter property, so we skip the blur
+    // The noise algorithm itself provides smooth edges
+    ctx.drawImage(state.off, 0, 0, w, h);
+
+    ctx.restore();
+    ctx.globalAlpha = 1;
+  }
+};
@@ -0,0 +1,53 @@
+module.exports = {
+  id: 'snake',
+  description: 'Grid-based random lighting (rows follow the frequency bands, bass at the bottom)',
+  params: {
+    gridSize: { type: 'integer', default: 32, min: 8, max: 256, description: 'Square size in px' },
+    maxActive: { type: 'integer', default: 50, min: 0, max: 2000, description: 'Most squares lit per frame' },
+    gridLines: { type: 'boolean', default: true, description: 'Draw the grid' }
+  },
+
+  render(ctx, { width: w, height: h, audio, colors, pick, random, rowBandLevel }, params) {
+    const rms = audio.rms;
+    const gridSize = params.gridSize;
+    const cols = Math.floor(w / gridSize), rows = Math.floor(h / gridSize);
+
+    // Grid lines
+    if (params.gridLines) {
+      ctx.strokeStyle = pick(colors, 0);
+      ctx.globalAlpha = 0.15;
+      ctx.lineWidth = 1;
+      for (let x = 0; x <= cols; x++) {
+        ctx.beginPath();
+        ctx.moveTo(x * gridSize, 0);
+        ctx.lineTo(x * gridSize, h);
+        ctx.stroke();
+      }
+      for (let y = 0; y <= rows; y++) {
+        ctx.beginPath();
+        ctx.moveTo(0, y * gridSize);
+        ctx.lineTo(w, y * gridSize);
+        ctx.stroke();
+      }
+    }
+
+    // Light up squares
+    const maxActive = Math.min(params.maxActive, Math.floor(rms * cols * rows * 0.4));
+    for (let i = 0; i < maxActive; i++) {
+      const col = Math.floor(random() * cols);
+      const row = Math.floor(random() * rows);
+      const intensity = rowBandLevel(row, rows);
+
+      if (intensity > 0.05 || (rms > 0.1 && random() < 0.3)) {
+        const x = col * gridSize, y = row * gridSize;
+        const size = gridSize * (0.7 + intensity * 0.3);
+        const offset = (gridSize - size) / 2;
+        const colorIndex = 1 + ((col + row + Math.floor(intensity * 10)) % (colors.length - 1));
+        ctx.fillStyle = pick(colors, colorIndex);
+        ctx.globalAlpha = 0.6 + intensity * 0.4;
+        ctx.fillRect(x + offset, y + offset, size, size);
+      }
+    }
+    ctx.globalAlpha = 1;
+  }
+};
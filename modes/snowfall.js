@@ -0,0 +1,49 @@
+function createFlake({ width: w, height: h, colors, pick, random }) {
+  return {
+    x: random() * w,
+    y: random() * h,
+    speed: random() * 50 + 20,
+    size: random() * 4 + 2,
+    drift: random() * 20 - 10,
+    color: pick(colors, Math.floor(random() * colors.length))
+  };
+}
+
+module.exports = {
+  id: 'snowfall',
+  description: 'Falling snow particles',
+  params: {
+    count: { type: 'integer', default: 150, min: 1, max: 5000, description: 'Number of flakes' },
+    speed: { type: 'number', default: 1, min: 0, max: 20, description: 'Fall speed' },
+    opacity: { type: 'number', default: 0.6, min: 0, max: 1, description: 'Flake opacity' }
+  },
+
+  init(state, frame, { count }) {
+    state.flakes = Array.from({ length: count }, () => createFlake(frame));
+  },
+
+  render(ctx, frame, { count, speed, opacity }, state) {
+    const { width: w, height: h, time, colors, pick, random } = frame;
+    // Keyframed counts add or drop particles
+    while (state.flakes.length < count) state.flakes.push(createFlake(frame));
+    state.flakes.length = count;
+
+    state.flakes.forEach(flake => {
+      flake.y += flake.speed * 0.016 * speed;
+      flake.x += Math.sin(time + flake.y * 0.01) * flake.drift * 0.016 * speed;
+
+      if (flake.y > h) {
+        flake.x = random() * w;
+        flake.y = -flake.size;
+        flake.color = pick(colors, Math.floor(random() * colors.length));
+      }
+
+      ctx.fillStyle = flake.color;
+      ctx.globalAlpha = opacity;
+      ctx.beginPath();
+      ctx.arc(flake.x, flake.y, flake.size, 0, Math.PI * 2);
+      ctx.fill();
+    });
+    ctx.globalAlpha = 1;
+  }
+};
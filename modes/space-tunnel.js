@@ -0,0 +1,55 @@
+function createStar({ colors, pick, random }) {
+  return {
+    x: (random() - 0.5) * 2,
+    y: (random() - 0.5) * 2,
+    z: random() * 2 + 0.1,
+    size: random() * 3 + 1,
+    speed: random() * 2 + 1,
+    color: pick(colors, Math.floor(random() * colors.length))
+  };
+}
+
+module.exports = {
+  id: 'space-tunnel',
+  description: 'Star field tunnel',
+  params: {
+    count: { type: 'integer', default: 200, min: 1, max: 5000, description: 'Number of stars' },
+    speed: { type: 'number', default: 1, min: 0, max: 20, description: 'Flight speed' }
+  },
+
+  init(state, frame, { count }) {
+    state.stars = Array.from({ length: count }, () => createStar(frame));
+  },
+
+  render(ctx, frame, { count, speed }, state) {
+    const { width: w, height: h, colors, pick, random } = frame;
+    const cx = w * 0.5, cy = h * 0.5;
+    // Keyframed counts add or drop particles
+    while (state.stars.length < count) state.stars.push(createStar(frame));
+    state.stars.length = count;
+
+    state.stars.forEach(star => {
+      star.z -= star.speed * 0.016 * speed;
+      if (star.z <= 0.1) {
+        star.x = (random() - 0.5) * 2;
+        star.y = (random() - 0.5) * 2;
+        star.z = 2.1;
+        star.color = pick(colors, Math.floor(random() * colors.length));
+      }
+
+      const perspective = 1 / star.z;
+      const sx = cx + (star.x * perspective) * (w * 0.8);
+      const sy = cy + (star.y * perspective) * (h * 0.8);
+      const size = star.size * perspective;
+
+      if (sx >= 0 && sx <= w && sy >= 0 && sy <= h && size > 0.5) {
+        ctx.fillStyle = star.color;
+        ctx.globalAlpha = perspective;
+        ctx.beginPath();
+        ctx.arc(sx, sy, size, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    });
+    ctx.globalAlpha = 1;
+  }
+};
@@ -0,0 +1,24 @@
+module.exports = {
+  id: 'sparkline',
+  description: 'Mini waveform overlay',
+  params: {
+    width: { type: 'integer', default: 240, min: 40, max: 3840, description: 'Box width in px (at most 30% of the frame)' },
+    height: { type: 'integer', default: 80, min: 20, max: 2160, description: 'Box height in px (at most 20% of the frame)' },
+    lineWidth: { type: 'number', default: 1.5, min: 0.5, max: 20, description: 'Line width in px' }
+  },
+
+  render(ctx, { width: w, height: h, audio, colors, pick }, params) {
+    const wave = audio.wave;
+    ctx.strokeStyle = pick(colors, 2);
+    ctx.lineWidth = params.lineWidth;
+    const ww = Math.min(params.width, w * 0.3), hh = Math.min(params.height, h * 0.2);
+    ctx.strokeRect(12, 12, ww, hh);
+    ctx.beginPath();
+    for (let x = 0; x < ww; x++) {
+      const idx = Math.floor((x / ww) * wave.length);
+      const y = 12 + (hh / 2) + ((wave[idx] - 128) / 128) * (hh * 0.45);
+      if (x === 0) ctx.moveTo(12, y); else ctx.lineTo(12 + x, y);
+    }
+    ctx.stroke();
+  }
+};
@@ -0,0 +1,33 @@
+module.exports = {
+  id: 'spiral',
+  description: 'Rotating spiral patterns (brightness shifts the palette)',
+  params: {
+    arms: { type: 'integer', default: 3, min: 1, max: 12, description: 'Number of spiral arms' },
+    turns: { type: 'number', default: 6, min: 1, max: 24, description: 'Turns from the center to the edge' },
+    lineWidth: { type: 'number', default: 4, min: 0.5, max: 40, description: 'Arm width in px' },
+    speed: { type: 'number', default: 2, min: 0, max: 20, description: 'Rotation in radians per second' }
+  },
+
+  render(ctx, { width: w, height: h, time, audio, colors, pick }, { arms, turns, lineWidth, speed }) {
+    const cx = w * 0.5, cy = h * 0.5;
+    const maxRadius = Math.max(w, h) * 0.6;
+    // Brighter sounds shift the spirals along the palette
+    const shift = Math.floor((audio.centroid || 0) * colors.length);
+
+    const end = Math.PI * 2 * turns;
+
+    ctx.lineWidth = lineWidth;
+    for (let spiral = 0; spiral < arms; spiral++) {
+      ctx.strokeStyle = pick(colors, (spiral + shift) % colors.length);
+      ctx.beginPath();
+      for (let t = 0; t < end; t += 0.08) {
+        const radius = (t / end) * maxRadius;
+        const angle = t + time * speed + (spiral * Math.PI * 2) / arms;
+        const x = cx + Math.cos(angle) * radius;
+        const y = cy + Math.sin(angle) * radius;
+        if (t === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+      }
+      ctx.stroke();
+    }
+  }
+};
@@ -0,0 +1,60 @@
+function createLine({ colors, pick, random }, angle) {
+  return {
+    angle,
+    radius: random() * 0.8 + 0.1,
+    z: random() * 3 + 0.1,
+    speed: random() * 8 + 4,
+    width: random() * 2 + 1,
+    color: pick(colors, Math.floor(random() * colors.length))
+  };
+}
+
+module.exports = {
+  id: 'warp-speed',
+  description: 'Warp drive effect (brightness drives speed)',
+  params: {
+    count: { type: 'integer', default: 80, min: 1, max: 2000, description: 'Number of streaks' },
+    speed: { type: 'number', default: 1, min: 0, max: 20, description: 'Flight speed' }
+  },
+
+  init(state, frame, { count }) {
+    // Evenly spread to start with, random angles once they respawn
+    state.lines = Array.from({ length: count }, (_, i) => createLine(frame, (i / count) * Math.PI * 2));
+  },
+
+  render(ctx, frame, { count, speed }, state) {
+    const { width: w, height: h, audio, colors, pick, random } = frame;
+    const cx = w * 0.5, cy = h * 0.5;
+    // Brighter sounds warp faster
+    const brightness = audio.centroid ?? 0.5;
+    // Keyframed counts add or drop particles
+    while (state.lines.length < count) state.lines.push(createLine(frame, random() * Math.PI * 2));
+    state.lines.length = count;
+
+    state.lines.forEach(line => {
+      line.z -= line.speed * 0.016 * (0.5 + brightness) * speed;
+      if (line.z <= 0.1) {
+        line.angle = random() * Math.PI * 2;
+        line.radius = random() * 0.8 + 0.1;
+        line.z = 3.1;
+        line.color = pick(colors, Math.floor(random() * colors.length));
+      }
+
+      const perspective = 1 / line.z;
+      const cr = line.radius * perspective;
+      const sx = cx + Math.cos(line.angle) * cr * (w * 0.4);
+      const sy = cy + Math.sin(line.angle) * cr * (h * 0.4);
+
+      if (perspective * line.width > 0.5) {
+        ctx.strokeStyle = line.color;
+        ctx.lineWidth = line.width * perspective;
+        ctx.globalAlpha = perspective * 2;
+        ctx.beginPath();
+        ctx.moveTo(cx, cy);
+        ctx.lineTo(sx, sy);
+        ctx.stroke();
+      }
+    });
+    ctx.globalAlpha = 1;
+  }
+};
@@ -0,0 +1,22 @@
+module.exports = {
+  id: 'waveform',
+  description: 'Audio waveform line',
+  params: {
+    lineWidth: { type: 'number', default: 2, min: 0.5, max: 40, description: 'Line width in px' },
+    amplitude: { type: 'number', default: 0.4, min: 0, max: 1, description: 'Full-scale swing, fraction of the frame height' }
+  },
+
+  render(ctx, { width: w, height: h, audio, colors, pick }, { lineWidth, amplitude }) {
+    const wave = audio.wave;
+    ctx.lineWidth = lineWidth;
+    ctx.strokeStyle = pick(colors, 2);
+    ctx.beginPath();
+    for (let x = 0; x < w; x++) {
+      const idx = Math.floor((x / w) * wave.length);
+      const y = ((wave[idx] - 128) / 128) * amplitude * h + h * 0.5;
+      if (x === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    }
+    ctx.stroke();
+  }
+};
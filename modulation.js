@@ -0,0 +1,102 @@
+/**
+ * Audio-to-parameter modulation: bindings that drive a numeric layer,
+ * background or logo property from an analyzed audio feature.
+ * A binding is { target, source, inputRange, outputRange, curve, mode,
+ * smoothing | attack/release }: the feature is normalized over inputRange,
+ * shaped by the curve, mapped onto outputRange and then replaces, adds to or
+ * multiplies the property's current value.
+ */
+
+// Per-frame features a binding can read. `bands.<name>` and `chroma.<0-11>`
+// pick one value; beatPulse is the decaying beat envelope (1 on each beat).
+const SOURCES = [
+  'rms', 'rmsL', 'rmsR', 'centroid', 'flux', 'rolloff', 'flatness', 'zcr',
+  'width', 'correlation', 'onsetStrength', 'onset', 'beat', 'beatPulse',
+  'beatPhase', 'bpm', 'pitchClass', 'bands', 'chroma'
+];
+
+const CURVES = {
+  linear: x => x,
+  exp: x => x * x, // Emphasize peaks
+  log: x => Math.sqrt(x), // Lift quiet passages
+  smooth: x => x * x * (3 - 2 * x) // Smoothstep
+};
+
+const MODES = ['replace', 'add', 'multiply'];
+
+/**
+ * Map a raw feature value through a binding's ranges and curve
+ */
+function mapModulation(value, binding) {
+  const [inMin, inMax] = binding.inputRange || [0, 1];
+  const [outMin, outMax] = binding.outputRange || [0, 1];
+  const normalized = inMax === inMin ? 0 : Math.max(0, Math.min(1, (value - inMin) / (inMax - inMin)));
+  return outMin + (outMax - outMin) * CURVES[binding.curve || 'linear'](normalized);
+}
+
+/**
+ * Combine a modulated value with the property's current value
+ */
+function combineModulation(base, value, mode = 'replace') {
+  if (mode === 'add') return (typeof base === 'number' ? base : 0) + value;
+  if (mode === 'multiply') return (typeof base === 'number' ? base : 1) * value;
+  return value;
+}
+
+const isRange = (range) => Array.isArray(range) && range.length === 2 && range.every(Number.isFinite);
+
+/**
+ * Check the modulation bindings of one config object, throwing on the first
+ * problem. `label` names the object in error messages (e.g. "layers[2]").
+ */
+function validateModulations(bindings, label) {
+  if (bindings === undefined) return;
+  if (!Array.isArray(bindings)) {
+    throw new Error(`${label}.modulations must be an array of bindings`);
+  }
+
+  bindings.forEach((binding, index) => {
+    const where = `${label}.modulations[${index}]`;
+    if (!binding || typeof binding.target !== 'string' || !/^\w+(\.\w+)*$/.test(binding.target)) {
+      throw new Error(`${where} needs a target property, e.g. "opacity" or "transform.scale"`);
+    }
+    if (['keyframes', 'modulations'].includes(binding.target.split('.')[0])) {
+      throw new Error(`${where} cannot modulate ${binding.target}`);
+    }
+
+    const [feature, key, extra] = String(binding.source).split('.');
+    const needsKey = feature === 'bands' || feature === 'chroma';
+    if (!SOURCES.includes(feature) || needsKey !== (key !== undefined) || extra !== undefined) {
+      throw new Error(`${where} has unknown source "${binding.source}" (use ${SOURCES.filter(s => s !== 'bands' && s !== 'chroma').join(', ')}, bands.<name> or chroma.<0-11>)`);
+    }
+    if (feature === 'chroma' && !/^(\d|1[01])$/.test(key)) {
+      throw new Error(`${where} source "${binding.source}" needs a pitch class 0-11`);
+    }
+
+    for (const name of ['inputRange', 'outputRange']) {
+      if (binding[name] !== undefined && !isRange(binding[name])) {
+        throw new Error(`${where} ${name} must be [min, max]`);
+      }
+    }
+    if (binding.curve !== undefined && !Object.prototype.hasOwnProperty.call(CURVES, binding.curve)) {
+      throw new Error(`${where} has unknown curve "${binding.curve}" (use ${Object.keys(CURVES).join(', ')})`);
+    }
+    if (binding.mode !== undefined && !MODES.includes(binding.mode)) {
+      throw new Error(`${where} has unknown mode "${binding.mode}" (use ${MODES.join(', ')})`);
+    }
+    for (const name of ['smoothing', 'attack', 'release']) {
+      if (binding[name] !== undefined && !(Number.isFinite(binding[name]) && binding[name] >= 0)) {
+        throw new Error(`${where} ${name} must be a time in ms (>= 0)`);
+      }
+    }
+  });
+}
+
+module.exports = {
+  SOURCES,
+  CURVES,
+  MODES,
+  mapModulation,
+  combineModulation,
+  validateModulations
+};
@@ -0,0 +1,233 @@
+/**
+ * Post-processing on the composited frame's RGBA pixels (node-canvas has no
+ * `filter` support, so everything works directly on ImageData buffers).
+ * Effects run in the order of the render config's `postEffects` array:
+ * [{ type: 'bloom', threshold: 0.7, intensity: 0.8, radius: 12 }, ...].
+ * Pixel sizes are at 1080p and scale with the frame height.
+ */
+
+// Parameters of each effect with their defaults and ranges
+const EFFECTS = {
+  blur: { radius: { default: 4, min: 0 } },
+  bloom: {
+    threshold: { default: 0.7, min: 0, max: 1 },
+    intensity: { default: 0.8, min: 0 },
+    radius: { default: 12, min: 0 }
+  },
+  chromaticAberration: { amount: { default: 4, min: 0 } }, // px at the corners, growing from the center
+  rgbSplit: { amount: { default: 6, min: 0 }, angle: { default: 0 } }, // px offset of red (and opposite blue), angle in degrees
+  vignette: { // darkening at the corners, fraction of the radius left clear
+    amount: { default: 0.5, min: 0, max: 1 },
+    size: { default: 0.6, min: 0, max: 1 }
+  },
+  grain: { amount: { default: 0.08, min: 0 } },
+  scanlines: { amount: { default: 0.3, min: 0, max: 1 }, spacing: { default: 3, min: 0 } }
+};
+
+/**
+ * An effect's parameters with defaults filled in. Keyframed or modulated
+ * values are clamped to their range.
+ */
+function resolveEffectParams(effect) {
+  const params = {};
+  for (const [name, param] of Object.entries(EFFECTS[effect.type])) {
+    params[name] = Number.isFinite(effect[name])
+      ? Math.max(param.min ?? -Infinity, Math.min(param.max ?? Infinity, effect[name]))
+      : param.default;
+  }
+  return params;
+}
+
+/**
+ * Box blur radii for three passes approximating a Gaussian of `sigma`
+ */
+function boxesForGauss(sigma) {
+  const ideal = Math.sqrt((12 * sigma * sigma) / 3 + 1);
+  let lower = Math.floor(ideal);
+  if (lower % 2 === 0) lower--;
+  const upper = lower + 2;
+  const lowerCount = Math.round((12 * sigma * sigma - 3 * lower * lower - 12 * lower - 9) / (-4 * lower - 4));
+  return [0, 1, 2].map(i => ((i < lowerCount ? lower : upper) - 1) / 2);
+}
+
+/**
+ * One box blur pass of radius `r` over RGBA `src` into `dst`, along rows
+ * (`horizontal`) or columns, clamping at the edges
+ */
+function boxBlurPass(src, dst, width, height, r, horizontal) {
+  const lines = horizontal ? height : width;
+  const length = horizontal ? width : height;
+  const step = horizontal ? 4 : width * 4;
+  const scale = 1 / (2 * r + 1);
+
+  for (let line = 0; line < lines; line++) {
+    const start = horizontal ? line * width * 4 : line * 4;
+    for (let c = 0; c < 4; c++) {
+      const at = (i) => src[start + Math.max(0, Math.min(length - 1, i)) * step + c];
+      let sum = 0;
+      for (let i = -r; i <= r; i++) sum += at(i);
+      for (let i = 0; i < length; i++) {
+        dst[start + i * step + c] = sum * scale;
+        sum += at(i + r + 1) - at(i - r);
+      }
+    }
+  }
+}
+
+/**
+ * Approximate Gaussian blur of RGBA `pixels` in place
+ */
+function gaussianBlur(pixels, width, height, sigma) {
+  if (sigma < 0.5) return;
+  const temp = new Uint8ClampedArray(pixels.length);
+  for (const r of boxesForGauss(sigma)) {
+    if (r < 1) continue;
+    boxBlurPass(pixels, temp, width, height, r, true);
+    boxBlurPass(temp, pixels, width, height, r, false);
+  }
+}
+
+function bloom(pixels, width, height, { threshold, intensity, radius }) {
+  // Keep only what is brighter than the threshold, blur it and add it back
+  const bright = new Uint8ClampedArray(pixels.length);
+  const knee = Math.max(1e-3, 1 - threshold);
+  for (let i = 0; i < pixels.length; i += 4) {
+    const luma = (0.2126 * pixels[i] + 0.7152 * pixels[i + 1] + 0.0722 * pixels[i + 2]) / 255;
+    const amount = Math.max(0, luma - threshold) / knee;
+    bright[i] = pixels[i] * amount;
+    bright[i + 1] = pixels[i + 1] * amount;
+    bright[i + 2] = pixels[i + 2] * amount;
+    bright[i + 3] = 255;
+  }
+  gaussianBlur(bright, width, height, radius);
+  for (let i = 0; i < pixels.length; i += 4) {
+    pixels[i] += bright[i] * intensity;
+    pixels[i + 1] += bright[i + 1] * intensity;
+    pixels[i + 2] += bright[i + 2] * intensity;
+  }
+}
+
+/**
+ * Move the red and blue channels: by a fixed offset (rgbSplit) or radially
+ * from the center (chromaticAberration, `offset` = displacement at the corners)
+ */
+function shiftChannels(pixels, width, height, offset, radial, angle = 0) {
+  const source = Uint8ClampedArray.from(pixels);
+  const cx = width / 2, cy = height / 2;
+  const maxDistance = Math.hypot(cx, cy);
+  const dx = Math.cos((angle * Math.PI) / 180) * offset;
+  const dy = Math.sin((angle * Math.PI) / 180) * offset;
+  const sample = (x, y, c) => {
+    const sx = Math.max(0, Math.min(width - 1, Math.round(x)));
+    const sy = Math.max(0, Math.min(height - 1, Math.round(y)));
+    return source[(sy * width + sx) * 4 + c];
+  };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      let ox = dx, oy = dy;
+      if (radial) {
+        const k = offset / maxDistance;
+        ox = (x - cx) * k;
+        oy = (y - cy) * k;
+      }
+      pixels[i] = sample(x - ox, y - oy, 0);
+      pixels[i + 2] = sample(x + ox, y + oy, 2);
+    }
+  }
+}
+
+function vignette(pixels, width, height, { amount, size }) {
+  const cx = width / 2, cy = height / 2;
+  const maxDistance = Math.hypot(cx, cy);
+  const clear = Math.max(0, Math.min(0.999, size));
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const d = Math.max(0, (Math.hypot(x - cx, y - cy) / maxDistance - clear) / (1 - clear));
+      const shade = 1 - amount * d * d * (3 - 2 * d);
+      const i = (y * width + x) * 4;
+      pixels[i] *= shade;
+      pixels[i + 1] *= shade;
+      pixels[i + 2] *= shade;
+    }
+  }
+}
+
+function grain(pixels, { amount }, random) {
+  // Monochrome noise so it reads as film grain rather than color static
+  for (let i = 0; i < pixels.length; i += 4) {
+    const noise = (random() - 0.5) * 2 * amount * 255;
+    pixels[i] += noise;
+    pixels[i + 1] += noise;
+    pixels[i + 2] += noise;
+  }
+}
+
+function scanlines(pixels, width, height, { amount, spacing }) {
+  const period = Math.max(2, Math.round(spacing));
+  const shade = 1 - amount;
+  for (let y = 0; y < height; y += period) {
+    for (let i = y * width * 4, end = (y + 1) * width * 4; i < end; i += 4) {
+      pixels[i] *= shade;
+      pixels[i + 1] *= shade;
+      pixels[i + 2] *= shade;
+    }
+  }
+}
+
+/**
+ * Apply one effect to an ImageData-like { data, width, height } in place.
+ * `unit` scales pixel sizes (frame height / 1080).
+ */
+function applyPostEffect(image, effect, unit = 1, random = Math.random) {
+  const { data, width, height } = image;
+  if (!Object.prototype.hasOwnProperty.call(EFFECTS, effect.type)) {
+    throw new Error(`Unknown post effect "${effect.type}"`);
+  }
+  const params = resolveEffectParams(effect);
+
+  switch (effect.type) {
+    case 'blur': gaussianBlur(data, width, height, params.radius * unit); break;
+    case 'bloom': bloom(data, width, height, { ...params, radius: params.radius * unit }); break;
+    case 'chromaticAberration': shiftChannels(data, width, height, params.amount * unit, true); break;
+    case 'rgbSplit': shiftChannels(data, width, height, params.amount * unit, false, params.angle); break;
+    case 'vignette': vignette(data, width, height, params); break;
+    case 'grain': grain(data, params, random); break;
+    case 'scanlines': scanlines(data, width, height, { ...params, spacing: params.spacing * unit }); break;
+  }
+}
+
+/**
+ * Check a postEffects list, throwing on the first problem. `label` names it
+ * in error messages (e.g. "scenes[1].postEffects").
+ * Keyframes and modulations on each effect are checked by their own modules.
+ */
+function validatePostEffects(effects, label = 'postEffects') {
+  if (effects === undefined) return;
+  if (!Array.isArray(effects)) {
+    throw new Error(`${label} must be an array`);
+  }
+
+  effects.forEach((effect, index) => {
+    const where = `${label}[${index}]`;
+    if (!effect || !Object.prototype.hasOwnProperty.call(EFFECTS, effect.type)) {
+      throw new Error(`${where} has unknown type "${effect && effect.type}" (use ${Object.keys(EFFECTS).join(', ')})`);
+    }
+    for (const [name, { min, max }] of Object.entries(EFFECTS[effect.type])) {
+      const value = effect[name];
+      if (value === undefined) continue;
+      if (Number.isFinite(value) && (min === undefined || value >= min) && (max === undefined || value <= max)) continue;
+      if (min !== undefined && max !== undefined) throw new Error(`${where} (${effect.type}) ${name} must be a number from ${min} to ${max}`);
+      if (min !== undefined) throw new Error(`${where} (${effect.type}) ${name} must be a number >= ${min}`);
+      throw new Error(`${where} (${effect.type}) ${name} must be a number`);
+    }
+  });
+}
+
+module.exports = {
+  EFFECTS,
+  gaussianBlur,
+  applyPostEffect,
+  validatePostEffects
+};
@@ -0,0 +1,61 @@
+/**
+ * Seeded randomness so a render is reproducible from its seed. Every layer,
+ * effect and transition draws from its own stream derived from the render
+ * seed and a stable key, so adding or reordering one layer doesn't change
+ * the random choices of the others.
+ */
+
+const MAX_SEED = 0xFFFFFFFF;
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function hashString(text) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Mulberry32 generator: a function returning floats in [0, 1) like Math.random
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Independent stream for `key` (e.g. "layer_rain1") under a render seed
+ */
+function deriveRandom(seed, key) {
+  return createRandom(hashString(`${seed}:${key}`));
+}
+
+/**
+ * A fresh seed for renders that don't specify one
+ */
+function randomSeed() {
+  return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+function isValidSeed(seed) {
+  return Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED;
+}
+
+module.exports = {
+  MAX_SEED,
+  hashString,
+  createRandom,
+  deriveRandom,
+  randomSeed,
+  isValidSeed
+};
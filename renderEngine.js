@@ -4,6 +4,9 @@ const ffmpeg = require('fluent-ffmpeg');
 const { spawn } = require('child_process');
 const AudioAnalyzer = require('./audioAnalyzer');
 const VisualRenderer = require('./visualRenderer');
+const { analysisCache } = require('./analysisCache');
+const { resolveScenes } = require('./scenes');
+const { randomSeed } = require('./random');
 const palettes = require('./palettes');
 
 /**
@@ -18,7 +21,7 @@ class JobPersistence {
   /**
    * Mark job as completed with file retention (VIXA Studios)
    */
-  async markJobCompleted(jobId, outputPath) {
+  async markJobCompleted(jobId, outputPath, details = {}) {
     const completedAt = Date.now();
     const expiryTime = completedAt + this.fileRetentionTime;
     
@@ -26,6 +29,7 @@ class JobPersistence {
       outputPath,
       completedAt,
       expiryTime,
+      details,
       status: 'completed'
     });
     
@@ -81,7 +85,8 @@ class JobPersistence {
         status: job.status,
         progress: 100,
         outputPath: job.outputPath,
-        completedAt: job.completedAt
+        completedAt: job.completedAt,
+        details: job.details
       };
     } catch (error) {
       console.error(`Error checking job ${jobId}:`, error);
@@ -98,6 +103,9 @@ class RenderEngine {
     this.jobId = jobId;
     this.config = config;
     this.audioPath = audioPath;
+    this.scenes = config.scenes || resolveScenes(config); // One scene unless the config has a timeline
+    this.seed = config.seed ?? randomSeed(); // Same seed, same video
+    this.fontFamilies = {}; // Uploaded font families by requested name, set in render()
     this.status = 'queued';
     this.progress = 0;
     this.stage = 'initializing';
@@ -128,17 +136,29 @@ class RenderEngine {
       // Create directories (OPTIMIZED FOR STREAMING)
       await fs.ensureDir(this.jobDir);
       
-      this.updateStatus('rendering', 0, 'analyzing_audio', 'Analyzing audio...');
-      
       // Extract and analyze audio
       const { startTime, endTime, fps, width, height, layers } = this.config;
       const duration = endTime - startTime;
       
-      const audioAnalyzer = new AudioAnalyzer(this.audioPath, startTime, endTime);
-      const audioFrames = await audioAnalyzer.analyzeAudio(fps);
-      const totalFrames = audioFrames.length; // Define totalFrames for streaming
+      // One analyzer per audio source in use: the muxed output plus any layer stems
+      const outputSource = this.config.outputAudio || 'main';
+      const sourcePaths = this.config.audioSources || { [outputSource]: this.audioPath };
+      const sceneLayers = this.scenes.flatMap(scene => VisualRenderer.flattenLayers(scene.layers));
+      const usedSources = new Set([outputSource, ...sceneLayers.map(layer => layer.audioSource).filter(Boolean)]);
+      const analyzers = {};
+      for (const name of usedSources) {
+        if (!sourcePaths[name]) {
+          throw new Error(`Unknown audio source "${name}"`);
+        }
+        analyzers[name] = new AudioAnalyzer(sourcePaths[name], startTime, endTime, this.config.analysis);
+        await this.loadAudioAnalysis(analyzers[name], fps, usedSources.size > 1 ? name : null);
+      }
+      
+      const audioAnalyzer = analyzers[outputSource];
+      const totalFrames = audioAnalyzer.frameStore.frameCount; // Define totalFrames for streaming
       
-      this.updateStatus('rendering', 10, 'audio_analyzed', `Analyzed ${totalFrames} frames`);
+      // Fonts must be registered before any canvas is created
+      this.fontFamilies = await VisualRenderer.registerFonts(this.config.fonts);
       
       // Initialize visual renderer
       const renderer = new VisualRenderer(width, height);
@@ -164,13 +184,18 @@ class RenderEngine {
       
       this.updateStatus('rendering', 20, 'encoding_video', 'Starting FFmpeg streaming process...');
       
-      // Render frames with streaming to FFmpeg
-      await this.renderFramesStreaming(audioFrames, layers, fps, this.audioSegmentPath, this.outputPath);
+      // Render frames with streaming to FFmpeg, pulling analyzed frames one at a time
+      await this.renderFramesStreaming(this.combineFrameSources(analyzers, outputSource, fps), totalFrames, layers, fps, this.audioSegmentPath, this.outputPath);
       
       this.updateStatus('completed', 100, 'completed', 'Render complete');
       
       // 🎬 VIXA STUDIOS: Mark job as completed with file retention (BEFORE cleanup)
-      await jobPersistence.markJobCompleted(this.jobId, this.outputPath);
+      await jobPersistence.markJobCompleted(this.jobId, this.outputPath, {
+        tempo: audioAnalyzer.tempo,
+        key: audioAnalyzer.key,
+        seed: this.seed,
+        modeParams: this.config.modeParams || null
+      });
       
       // Clear memory references immediately
       this.clearMemoryReferences();
@@ -184,6 +209,10 @@ class RenderEngine {
         filename: outputFileName,
         duration: duration,
         frames: totalFrames,
+        tempo: audioAnalyzer.tempo,
+        key: audioAnalyzer.key,
+        seed: this.seed,
+        modeParams: this.config.modeParams || null,
         fileSize: this.outputPath ? (await fs.stat(this.outputPath)).size : 0
       };
       
@@ -200,12 +229,56 @@ class RenderEngine {
     }
   }
 
+  /**
+   * Analyze audio, reusing a cached analysis of the same file and parameters when available.
+   * `sourceName` labels the status messages when several stems are analyzed.
+   */
+  async loadAudioAnalysis(audioAnalyzer, fps, sourceName = null) {
+    const label = sourceName ? ` (${sourceName})` : '';
+    const { store, cached } = await audioAnalyzer.analyzeCached(fps, analysisCache, () => {
+      this.updateStatus('rendering', 0, 'analyzing_audio', `Analyzing audio${label}...`);
+    });
+    
+    this.updateStatus('rendering', 10, 'audio_analyzed', cached
+      ? `Loaded ${store.frameCount} analyzed frames from cache${label}`
+      : `Analyzed ${store.frameCount} frames${label}`);
+    return store;
+  }
+
+  /**
+   * Pull frames from every analyzer in lockstep. Yields the `primary` source's
+   * frames; with more than one source each frame also carries `sources`
+   * ({ name: frame }) so VisualRenderer can give layers their own stem.
+   */
+  async *combineFrameSources(analyzers, primary, fps) {
+    const names = Object.keys(analyzers);
+    const iterators = names.map(name => analyzers[name].frames(fps)[Symbol.asyncIterator]());
+    
+    try {
+      while (true) {
+        const results = await Promise.all(iterators.map(iterator => iterator.next()));
+        const frames = {};
+        names.forEach((name, index) => { frames[name] = results[index].value; });
+        if (results[names.indexOf(primary)].done) return;
+        
+        const frame = frames[primary];
+        if (names.length > 1) frame.sources = frames;
+        yield frame;
+      }
+    } finally {
+      await Promise.all(iterators.map(iterator => iterator.return && iterator.return()));
+    }
+  }
+
   /**
    * Render frames with streaming to FFmpeg (NEW HIGH-PERFORMANCE METHOD)
    */
-  async renderFramesStreaming(audioFrames, layers, fps, audioPath, outputPath) {
+  async renderFramesStreaming(frameSource, totalFrames, layers, fps, audioPath, outputPath) {
     const renderer = new VisualRenderer(this.config.width, this.config.height);
-    const totalFrames = audioFrames.length;
+    renderer.setCaptions(this.config.captions, this.config.startTime);
+    renderer.setMaskImages(this.config.maskImages);
+    renderer.setFontFamilies(this.fontFamilies);
+    renderer.setSeed(this.seed);
     
     return new Promise((resolve, reject) => {
       // Start FFmpeg process with stdin pipe for streaming
@@ -285,7 +358,7 @@ class RenderEngine {
       });
       
       // Process frames and stream to FFmpeg
-      this.processFramesStreaming(renderer, audioFrames, layers, ffmpegProcess, totalFrames, () => processAlive)
+      this.processFramesStreaming(renderer, frameSource, layers, ffmpegProcess, totalFrames, () => processAlive)
         .then(() => {
           // Close stdin to signal end of frames
           if (!ffmpegProcess.stdin.destroyed) {
@@ -303,22 +376,15 @@ class RenderEngine {
   }
   
   /**
-   * Process frames and stream them to FFmpeg stdin
+   * Process frames and stream them to FFmpeg stdin.
+   * `frameSource` is any (async) iterable of analyzed frames, e.g. AudioAnalyzer.frames()
    */
-  async processFramesStreaming(renderer, audioFrames, layers, ffmpegProcess, totalFrames, isProcessAlive) {
-    for (let i = 0; i < totalFrames; i++) {
-      const frameData = audioFrames[i];
-      
+  async processFramesStreaming(renderer, frameSource, layers, ffmpegProcess, totalFrames, isProcessAlive) {
+    let i = 0;
+    for await (const frameData of frameSource) {
       try {
         // Render frame to canvas
-        await renderer.renderFrame(
-          frameData,
-          layers,
-          this.config.background,
-          this.config.logo,
-          palettes,
-          frameData.time
-        );
+        await renderer.renderTimeline(frameData, this.scenes, palettes, frameData.time);
         
         // Get raw RGB frame buffer from canvas for rawvideo piping
         const imageData = renderer.ctx.getImageData(0, 0, this.config.width, this.config.height);
@@ -380,6 +446,8 @@ class RenderEngine {
         console.error(`[${this.jobId}] Error processing frame ${i}:`, error);
         throw error;
       }
+      
+      i++;
     }
   }
 
@@ -0,0 +1,127 @@
+/**
+ * Scene timeline: a render split into scenes, each with its own layers,
+ * background, logo and postEffects, joined by transitions.
+ * Times are seconds from the start of the render. A scene's `transition`
+ * ({ type, duration, easing, ... }) plays from its `start` while the previous
+ * scene keeps running underneath.
+ */
+
+const { isValidEasing, EASING_PRESETS } = require('./keyframes');
+
+const TRANSITIONS = ['cut', 'crossfade', 'wipe', 'zoom', 'glitch', 'flash'];
+const WIPE_DIRECTIONS = ['left', 'right', 'up', 'down'];
+
+/**
+ * Normalize the render config into a list of layer stacks:
+ * [{ label, start, end, transition, layers, background, logo, postEffects }].
+ * Without `config.scenes` the whole render is one scene. Scenes fall back to
+ * the top-level background, logo and postEffects. Throws on invalid scenes.
+ */
+function resolveScenes(config) {
+  const duration = config.endTime - config.startTime;
+  if (config.scenes === undefined) {
+    return [{
+      label: '',
+      start: 0,
+      end: duration,
+      transition: null,
+      layers: config.layers,
+      background: config.background,
+      logo: config.logo,
+      postEffects: config.postEffects
+    }];
+  }
+  if (!Array.isArray(config.scenes) || config.scenes.length === 0) {
+    throw new Error('scenes must be a non-empty array');
+  }
+
+  const scenes = config.scenes.map((scene, index) => {
+    const where = `scenes[${index}]`;
+    if (!scene || typeof scene !== 'object') {
+      throw new Error(`${where} must be an object`);
+    }
+    if (!Number.isFinite(scene.start) || scene.start < 0) {
+      throw new Error(`${where} needs a start time in seconds (>= 0)`);
+    }
+    if (!Array.isArray(scene.layers)) {
+      throw new Error(`${where} needs a layers array`);
+    }
+    return {
+      label: `${where}.`,
+      start: scene.start,
+      end: scene.end,
+      transition: resolveTransition(scene.transition, where),
+      layers: scene.layers,
+      background: scene.background !== undefined ? scene.background : config.background,
+      logo: scene.logo !== undefined ? scene.logo : config.logo,
+      postEffects: scene.postEffects !== undefined ? scene.postEffects : config.postEffects
+    };
+  });
+
+  scenes.forEach((scene, index) => {
+    const next = scenes[index + 1];
+    if (next && next.start <= scene.start) {
+      throw new Error(`scenes[${index + 1}] must start after scenes[${index}]`);
+    }
+    // Scenes run until the next one (or the end of the render) unless told otherwise
+    const limit = next ? next.start : duration;
+    if (scene.end === undefined) {
+      scene.end = limit;
+    } else if (!Number.isFinite(scene.end) || scene.end <= scene.start) {
+      throw new Error(`scenes[${index}] end must be after its start`);
+    } else if (scene.end > limit && next) {
+      throw new Error(`scenes[${index}] overlaps scenes[${index + 1}] (use a transition instead)`);
+    }
+  });
+  return scenes;
+}
+
+function resolveTransition(transition, where) {
+  if (transition === undefined || transition === null) return null;
+  if (!TRANSITIONS.includes(transition.type)) {
+    throw new Error(`${where}.transition has unknown type "${transition.type}" (use ${TRANSITIONS.join(', ')})`);
+  }
+  const resolved = { duration: 1, ...transition };
+  if (!Number.isFinite(resolved.duration) || resolved.duration <= 0) {
+    throw new Error(`${where}.transition duration must be a number of seconds (> 0)`);
+  }
+  if (resolved.easing !== undefined && !isValidEasing(resolved.easing)) {
+    throw new Error(`${where}.transition has invalid easing (use ${Object.keys(EASING_PRESETS).join(', ')} or [x1, y1, x2, y2])`);
+  }
+  if (resolved.type === 'wipe' && resolved.direction !== undefined && !WIPE_DIRECTIONS.includes(resolved.direction)) {
+    throw new Error(`${where}.transition direction must be one of ${WIPE_DIRECTIONS.join(', ')}`);
+  }
+  return resolved;
+}
+
+/**
+ * What to show at `time`: { scene, index } for a single scene, plus
+ * { previous, progress } (progress 0-1) during its transition. `previous` is
+ * null when the scene follows a gap, so it transitions from black. Returns
+ * { scene: null } in gaps between scenes.
+ */
+function findScenes(scenes, time) {
+  let index = -1;
+  for (let i = 0; i < scenes.length && scenes[i].start <= time; i++) index = i;
+  if (index === -1) return { scene: null };
+
+  const scene = scenes[index];
+  const transition = scene.transition;
+  if (transition && transition.type !== 'cut' && time < scene.start + transition.duration) {
+    const before = scenes[index - 1];
+    return {
+      scene,
+      index,
+      previous: before && before.end >= scene.start ? before : null,
+      progress: (time - scene.start) / transition.duration
+    };
+  }
+  return time < scene.end ? { scene, index } : { scene: null };
+}
+
+module.exports = {
+  TRANSITIONS,
+  WIPE_DIRECTIONS,
+  resolveScenes,
+  findScenes
+};
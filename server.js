@@ -8,8 +8,24 @@ const fs = require('fs-extra');
 const path = require('path');
 const { exec } = require('child_process');
 const { RenderEngine, jobPersistence } = require('./renderEngine');
+const AudioAnalyzer = require('./audioAnalyzer');
+const VisualRenderer = require('./visualRenderer');
+const { analysisCache } = require('./analysisCache');
+const { parseCaptions } = require('./captions');
+const { validateKeyframes } = require('./keyframes');
+const { validateModulations } = require('./modulation');
+const { validatePostEffects } = require('./postEffects');
+const { resolveScenes } = require('./scenes');
+const { randomSeed, isValidSeed, MAX_SEED } = require('./random');
+const { loadModes, listModes, getMode, resolveParams, validateParams } = require('./modeRegistry');
 const jobQueue = require('./jobQueue');
 
+// Visual mode plugins from MODES_DIR, alongside the built-in ./modes
+if (process.env.MODES_DIR) {
+  const count = loadModes(process.env.MODES_DIR);
+  console.log(`🎨 Loaded ${count} visual modes from ${process.env.MODES_DIR}`);
+}
+
 const app = express();
 
 // Add this line right after creating the app
@@ -130,14 +146,19 @@ app.get('/', (req, res) => {
     endpoints: {
       'POST /convert': 'Upload and convert video files',
       'POST /render/start': 'Start video rendering job',
+      'POST /analyze': 'Analyze audio and return per-frame features (JSON or binary)',
       'GET /render/status/:jobId': 'Get render job status',
       'GET /render/position/:jobId': 'Get job queue position',
       'GET /render/download/:jobId': 'Download rendered video',
       'GET /render/stats': 'Get queue statistics',
+      'GET /render/modes': 'List installed visual modes and their parameters',
       'GET /render/queue': 'Get detailed queue status with server health',
       'GET /memory': 'Memory monitoring and recommendations',
       'POST /memory/cleanup': 'Manual aggressive memory cleanup',
       'POST /memory/clear': 'Clear unused memory immediately',
+      'GET /analysis/cache': 'Inspect the audio analysis cache',
+      'DELETE /analysis/cache': 'Clear the audio analysis cache',
+      'DELETE /analysis/cache/:key': 'Remove one audio analysis cache entry',
       'GET /render/isolation/:jobId': 'VIXA: Check render session isolation status',
       'POST /render/isolation/:jobId/complete': 'VIXA: Force complete render isolation',
       'GET /download/:filename': 'Download converted files',
@@ -175,18 +196,207 @@ const renderUpload = multer({
   }
 }).fields([
   { name: 'audio', maxCount: 1 },
+  { name: 'stems', maxCount: 8 },
+  { name: 'fonts', maxCount: 8 },
+  { name: 'captions', maxCount: 1 },
+  { name: 'maskImages', maxCount: 8 },
   { name: 'backgroundImage', maxCount: 1 },
   { name: 'logoImage', maxCount: 1 }
 ]);
 
+const SOURCE_NAME = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Name every uploaded audio file for per-layer `audioSource`: the `audio` mix
+ * is "main", stems take their names from `config.stems` (in upload order) or
+ * their file names. Names are letters, digits, _ and -. Throws on invalid,
+ * duplicate or unknown names.
+ */
+function resolveAudioSources(audioFile, stemFiles, config, layers) {
+  const sources = Object.create(null);
+  const has = (name) => typeof name === 'string' && Object.prototype.hasOwnProperty.call(sources, name);
+  if (audioFile) sources.main = audioFile.path;
+  
+  if (config.stems !== undefined && !Array.isArray(config.stems)) {
+    throw new Error('stems must be an array of source names, in upload order');
+  }
+  stemFiles.forEach((file, index) => {
+    const configured = config.stems && config.stems[index];
+    if (configured !== undefined && configured !== null && !(typeof configured === 'string' && SOURCE_NAME.test(configured))) {
+      throw new Error(`stems[${index}] must be a name of letters, digits, _ and -`);
+    }
+    const name = configured || path.parse(file.originalname).name.replace(/[^A-Za-z0-9_-]/g, '_');
+    if (name === '__proto__') {
+      throw new Error('"__proto__" cannot name an audio source');
+    }
+    if (has(name)) {
+      throw new Error(`Duplicate audio source name "${name}"`);
+    }
+    sources[name] = file.path;
+  });
+  
+  const names = Object.keys(sources);
+  const outputAudio = config.outputAudio || names[0];
+  if (!has(outputAudio)) {
+    throw new Error(`outputAudio "${outputAudio}" is not an uploaded source (available: ${names.join(', ')})`);
+  }
+  for (const layer of layers) {
+    if (layer.audioSource && !has(layer.audioSource)) {
+      throw new Error(`Layer audioSource "${layer.audioSource}" is not an uploaded source (available: ${names.join(', ')})`);
+    }
+  }
+  
+  return { sources, outputAudio };
+}
+
+/**
+ * Describe uploaded TTF/OTF fonts for VisualRenderer.registerFonts. Family,
+ * weight and style come from `config.fonts` (in upload order), the family
+ * defaulting to the file name.
+ */
+function resolveFonts(fontFiles, config) {
+  return fontFiles.map((file, index) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (!['.ttf', '.otf'].includes(ext)) {
+      throw new Error(`Font ${file.originalname} must be a .ttf or .otf file`);
+    }
+    const options = (config.fonts && config.fonts[index]) || {};
+    return {
+      path: file.path,
+      family: options.family || path.parse(file.originalname).name,
+      weight: options.weight || 'normal',
+      style: options.style || 'normal'
+    };
+  });
+}
+
+/**
+ * Delete every file multer stored for a request, whatever its upload field
+ */
+async function removeUploads(files) {
+  for (const file of Object.values(files || {}).flat()) {
+    await fs.remove(file.path).catch(() => {});
+  }
+}
+
+/**
+ * A background or logo config with the uploaded image's path as `src`
+ */
+function withImage(settings, imageFile) {
+  if (!settings) return null;
+  return { ...settings, src: imageFile ? imageFile.path : null };
+}
+
+/**
+ * Every layer in the tree, groups before their children, with a label for
+ * error messages ("layers[2].layers[0]"). Throws if a group has no layers
+ * array or two layers share an id.
+ */
+function flattenLayers(layers, label = 'layers', all = [], ids = new Set()) {
+  layers.forEach((layer, index) => {
+    const where = `${label}[${index}]`;
+    if (!layer || typeof layer !== 'object') {
+      throw new Error(`${where} must be an object`);
+    }
+    if (layer.id !== undefined) {
+      if (ids.has(layer.id)) {
+        throw new Error(`Duplicate layer id "${layer.id}" at ${where}`);
+      }
+      ids.add(layer.id);
+    }
+    all.push({ layer, label: where });
+    if (layer.type === 'group') {
+      if (!Array.isArray(layer.layers)) {
+        throw new Error(`${where} is a group without a layers array`);
+      }
+      flattenLayers(layer.layers, `${where}.layers`, all, ids);
+    }
+  });
+  return all;
+}
+
+/**
+ * Name uploaded mask images for layer `mask.image`: by file name, without
+ * the extension. Throws on duplicate names.
+ */
+function resolveMaskImages(maskFiles) {
+  const images = Object.create(null);
+  for (const file of maskFiles) {
+    const name = path.parse(file.originalname).name.replace(/[^A-Za-z0-9_-]/g, '_');
+    if (Object.prototype.hasOwnProperty.call(images, name)) {
+      throw new Error(`Duplicate mask image name "${name}"`);
+    }
+    images[name] = file.path;
+  }
+  return images;
+}
+
+/**
+ * Check layer masks: each names exactly one source (a sibling layer's `id`,
+ * an uploaded mask image or the logo) that exists. Layers used as masks
+ * cannot have masks themselves. Recurses into groups; throws on the first problem.
+ */
+function validateMasks(layers, maskImages, hasLogo, label = 'layers') {
+  const ids = new Map(layers.filter(layer => layer.id !== undefined).map(layer => [layer.id, layer]));
+
+  layers.forEach((layer, index) => {
+    if (layer.type === 'group') {
+      validateMasks(layer.layers, maskImages, hasLogo, `${label}[${index}].layers`);
+    }
+    const mask = layer.mask;
+    if (mask === undefined) return;
+    const where = `${label}[${index}].mask`;
+    if (!mask || typeof mask !== 'object') {
+      throw new Error(`${where} must be an object`);
+    }
+
+    const sources = ['layer', 'image', 'logo'].filter(key => mask[key] !== undefined && mask[key] !== false);
+    if (sources.length !== 1) {
+      throw new Error(`${where} needs exactly one of layer, image or logo`);
+    }
+    if (mask.layer !== undefined) {
+      const matte = ids.get(mask.layer);
+      if (!matte) {
+        throw new Error(`${where} references unknown layer id "${mask.layer}" (masks use layers from the same group)`);
+      }
+      if (matte === layer) {
+        throw new Error(`${where} cannot use the layer itself`);
+      }
+      if (matte.mask !== undefined) {
+        throw new Error(`${where} uses layer "${mask.layer}", which has a mask itself`);
+      }
+    }
+    if (mask.image !== undefined && !(typeof mask.image === 'string' && Object.prototype.hasOwnProperty.call(maskImages, mask.image))) {
+      const names = Object.keys(maskImages);
+      throw new Error(`${where} references mask image "${mask.image}" that was not uploaded${names.length ? ` (available: ${names.join(', ')})` : ''}`);
+    }
+    if (mask.logo && !hasLogo) {
+      throw new Error(`${where} uses the logo, but no logo is configured`);
+    }
+    if (mask.mode !== undefined && !['alpha', 'luminance'].includes(mask.mode)) {
+      throw new Error(`${where} mode must be alpha or luminance`);
+    }
+    if (mask.feather !== undefined && !(Number.isFinite(mask.feather) && mask.feather >= 0)) {
+      throw new Error(`${where} feather must be a number >= 0`);
+    }
+  });
+}
+
 // Start render job endpoint
 app.post('/render/start', renderUpload, async (req, res) => {
+  // Rejected requests don't keep their uploads
+  const badRequest = async (error) => {
+    await removeUploads(req.files);
+    return res.status(400).json({ error });
+  };
+
   try {
-    if (!req.files || !req.files.audio || !req.files.audio[0]) {
-      return res.status(400).json({ error: 'No audio file provided' });
+    const stemFiles = (req.files && req.files.stems) || [];
+    if (!req.files || ((!req.files.audio || !req.files.audio[0]) && stemFiles.length === 0)) {
+      return badRequest('No audio file provided');
     }
 
-    const audioFile = req.files.audio[0];
+    const audioFile = req.files.audio ? req.files.audio[0] : null;
     const backgroundImageFile = req.files.backgroundImage ? req.files.backgroundImage[0] : null;
     const logoImageFile = req.files.logoImage ? req.files.logoImage[0] : null;
 
@@ -195,13 +405,128 @@ app.post('/render/start', renderUpload, async (req, res) => {
     
     // Validate configuration
     if (!config.startTime && config.startTime !== 0) {
-      return res.status(400).json({ error: 'Missing startTime in config' });
+      return badRequest('Missing startTime in config');
     }
     if (!config.endTime) {
-      return res.status(400).json({ error: 'Missing endTime in config' });
+      return badRequest('Missing endTime in config');
+    }
+    if (config.scenes === undefined && (!config.layers || !Array.isArray(config.layers))) {
+      return badRequest('Missing or invalid layers in config');
+    }
+
+    if (config.seed !== undefined && !isValidSeed(config.seed)) {
+      return badRequest(`seed must be an integer from 0 to ${MAX_SEED}`);
+    }
+
+    // Without `scenes` the whole render is one layer stack
+    let scenes;
+    try {
+      scenes = resolveScenes(config);
+    } catch (validationError) {
+      return badRequest(`Invalid scenes: ${validationError.message}`);
+    }
+
+    let allLayers;
+    try {
+      allLayers = scenes.flatMap(scene => flattenLayers(scene.layers, `${scene.label}layers`));
+    } catch (validationError) {
+      return badRequest(validationError.message);
+    }
+    const unknownBlend = allLayers.map(({ layer }) => layer).find(layer => layer.blend !== undefined
+      && !Object.prototype.hasOwnProperty.call(VisualRenderer.BLEND_MODES, layer.blend));
+    if (unknownBlend) {
+      return badRequest(`Unknown blend mode "${unknownBlend.blend}" (use ${Object.keys(VisualRenderer.BLEND_MODES).join(', ')})`);
+    }
+
+    try {
+      scenes.forEach(scene => validatePostEffects(scene.postEffects, `${scene.label}postEffects`));
+    } catch (validationError) {
+      return badRequest(`Invalid postEffects: ${validationError.message}`);
+    }
+    try {
+      allLayers.forEach(({ layer, label }) => validateKeyframes(layer.keyframes, label));
+      for (const scene of scenes) {
+        validateKeyframes(scene.background?.keyframes, `${scene.label}background`);
+        validateKeyframes(scene.logo?.keyframes, `${scene.label}logo`);
+        (scene.postEffects || []).forEach((effect, index) => validateKeyframes(effect.keyframes, `${scene.label}postEffects[${index}]`));
+      }
+    } catch (validationError) {
+      return badRequest(`Invalid keyframes: ${validationError.message}`);
+    }
+    try {
+      allLayers.forEach(({ layer, label }) => validateModulations(layer.modulations, label));
+      for (const scene of scenes) {
+        validateModulations(scene.background?.modulations, `${scene.label}background`);
+        validateModulations(scene.logo?.modulations, `${scene.label}logo`);
+        (scene.postEffects || []).forEach((effect, index) => validateModulations(effect.modulations, `${scene.label}postEffects[${index}]`));
+      }
+    } catch (validationError) {
+      return badRequest(`Invalid modulations: ${validationError.message}`);
     }
-    if (!config.layers || !Array.isArray(config.layers)) {
-      return res.status(400).json({ error: 'Missing or invalid layers in config' });
+
+    // Mode parameters with defaults filled in, echoed in the job status.
+    // Layers without a mode draw bars.
+    const modeLayers = allLayers.filter(({ layer }) => !['text', 'captions', 'group'].includes(layer.type));
+    const unknownMode = modeLayers.find(({ layer }) => layer.mode !== undefined && !getMode(layer.mode));
+    if (unknownMode) {
+      return badRequest(`Unknown mode "${unknownMode.layer.mode}" in ${unknownMode.label} (use ${listModes().map(mode => mode.id).join(', ')})`);
+    }
+    let modeParams;
+    try {
+      modeParams = modeLayers.map(({ layer, label }) => {
+        const mode = getMode(layer.mode ?? 'bars');
+        validateParams(mode, layer.params, label);
+        return { layer: label, mode: mode.id, params: resolveParams(mode, layer.params) };
+      });
+    } catch (validationError) {
+      return badRequest(`Invalid params: ${validationError.message}`);
+    }
+
+    let analysisOptions;
+    try {
+      analysisOptions = AudioAnalyzer.resolveOptions(config.analysis);
+    } catch (validationError) {
+      return badRequest(`Invalid analysis config: ${validationError.message}`);
+    }
+
+    let audioSources;
+    try {
+      audioSources = resolveAudioSources(audioFile, stemFiles, config, allLayers.map(({ layer }) => layer));
+    } catch (validationError) {
+      return badRequest(validationError.message);
+    }
+    const outputAudioPath = audioSources.sources[audioSources.outputAudio];
+
+    // Lyrics/captions are parsed up front so bad files fail the request, not the render
+    let captions = null;
+    const captionsFile = req.files.captions ? req.files.captions[0] : null;
+    if (captionsFile) {
+      try {
+        captions = parseCaptions(await fs.readFile(captionsFile.path, 'utf8'), captionsFile.originalname);
+      } catch (parseError) {
+        return badRequest(`Invalid captions file: ${parseError.message}`);
+      } finally {
+        await fs.remove(captionsFile.path).catch(() => {});
+      }
+    }
+    if (!captions && allLayers.some(({ layer }) => layer.type === 'captions')) {
+      return badRequest('Captions layers need a captions file (LRC, SRT or WebVTT)');
+    }
+
+    const fontFiles = req.files.fonts || [];
+    let fonts;
+    try {
+      fonts = resolveFonts(fontFiles, config);
+    } catch (validationError) {
+      return badRequest(validationError.message);
+    }
+    const maskFiles = req.files.maskImages || [];
+    let maskImages;
+    try {
+      maskImages = resolveMaskImages(maskFiles);
+      scenes.forEach(scene => validateMasks(scene.layers, maskImages, !!(scene.logo && logoImageFile), `${scene.label}layers`));
+    } catch (validationError) {
+      return badRequest(`Invalid mask: ${validationError.message}`);
     }
 
     // Generate job ID
@@ -215,23 +540,37 @@ app.post('/render/start', renderUpload, async (req, res) => {
       startTime: config.startTime,
       endTime: config.endTime,
       fps: config.fps || 60,
+      seed: config.seed ?? randomSeed(),
       width: config.width || 854,
       height: config.height || 480,
       layers: config.layers,
-      background: {
-        ...config.background,
-        src: backgroundImageFile ? backgroundImageFile.path : null
-      },
-      logo: config.logo ? {
-        ...config.logo,
-        src: logoImageFile ? logoImageFile.path : null
-      } : null
+      analysis: analysisOptions,
+      audioSources: audioSources.sources,
+      outputAudio: audioSources.outputAudio,
+      fonts: fonts,
+      captions: captions ? captions.cues : null,
+      postEffects: config.postEffects || [],
+      maskImages: maskImages,
+      modeParams: modeParams,
+      background: withImage(config.background || {}, backgroundImageFile),
+      logo: withImage(config.logo, logoImageFile),
+      scenes: scenes.map(({ label, ...scene }) => ({
+        ...scene,
+        background: withImage(scene.background || {}, backgroundImageFile),
+        logo: withImage(scene.logo, logoImageFile)
+      }))
     };
 
     const duration = renderConfig.endTime - renderConfig.startTime;
     const estimatedTime = Math.ceil(duration * 1.5); // Rough estimate: 1.5x duration
     
     console.log(`New render job ${jobId}: ${duration}s at ${renderConfig.fps}fps`);
+    if (captions) {
+      console.log(`Captions: ${captions.cues.length} ${captions.format.toUpperCase()} cues`);
+    }
+    if (stemFiles.length > 0) {
+      console.log(`Audio sources: ${Object.keys(audioSources.sources).join(', ')} (output: ${audioSources.outputAudio})`);
+    }
     console.log('Images:', {
       background: !!backgroundImageFile,
       logo: !!logoImageFile
@@ -240,14 +579,15 @@ app.post('/render/start', renderUpload, async (req, res) => {
     // Add job to queue
     jobQueue.addJob(jobId, {
       config: renderConfig,
-      audioPath: audioFile.path,
-      audioFilename: audioFile.originalname,
+      audioPath: outputAudioPath,
+      audioFilename: (audioFile || stemFiles[0]).originalname,
+      audioSources: audioSources.sources,
       backgroundImagePath: backgroundImageFile?.path,
       logoImagePath: logoImageFile?.path
     });
 
     // Start rendering asynchronously
-    const renderEngine = new RenderEngine(jobId, renderConfig, audioFile.path);
+    const renderEngine = new RenderEngine(jobId, renderConfig, outputAudioPath);
     
     // Process render in background
     (async () => {
@@ -272,9 +612,7 @@ app.post('/render/start', renderUpload, async (req, res) => {
         jobQueue.clearUnusedMemory();
         
         // Clean up uploaded files
-        await fs.remove(audioFile.path).catch(() => {});
-        if (backgroundImageFile) await fs.remove(backgroundImageFile.path).catch(() => {});
-        if (logoImageFile) await fs.remove(logoImageFile.path).catch(() => {});
+        await removeUploads(req.files);
         
       } catch (error) {
         if (updateInterval) clearInterval(updateInterval);
@@ -285,9 +623,7 @@ app.post('/render/start', renderUpload, async (req, res) => {
         jobQueue.completeRenderIsolation(jobId);
         
         // Clean up uploaded files
-        await fs.remove(audioFile.path).catch(() => {});
-        if (backgroundImageFile) await fs.remove(backgroundImageFile.path).catch(() => {});
-        if (logoImageFile) await fs.remove(logoImageFile.path).catch(() => {});
+        await removeUploads(req.files);
       }
     })();
 
@@ -295,6 +631,7 @@ app.post('/render/start', renderUpload, async (req, res) => {
       success: true,
       jobId: jobId,
       estimatedTime: estimatedTime,
+      seed: renderConfig.seed,
       message: 'Render job started'
     });
 
@@ -302,11 +639,7 @@ app.post('/render/start', renderUpload, async (req, res) => {
     console.error('Render start error:', error);
     
     // Clean up any uploaded files on error
-    if (req.files) {
-      if (req.files.audio) await fs.remove(req.files.audio[0].path).catch(() => {});
-      if (req.files.backgroundImage) await fs.remove(req.files.backgroundImage[0].path).catch(() => {});
-      if (req.files.logoImage) await fs.remove(req.files.logoImage[0].path).catch(() => {});
-    }
+    await removeUploads(req.files);
     
     res.status(500).json({
       error: 'Failed to start render',
@@ -331,7 +664,11 @@ app.get('/render/status/:jobId', async (req, res) => {
       progress: completedJobStatus.progress || 100,
       stage: 'completed',
       outputPath: completedJobStatus.outputPath,
-      completedAt: completedJobStatus.completedAt
+      completedAt: completedJobStatus.completedAt,
+      tempo: completedJobStatus.details ? completedJobStatus.details.tempo : null,
+      key: completedJobStatus.details ? completedJobStatus.details.key : null,
+      seed: completedJobStatus.details ? completedJobStatus.details.seed : null,
+      modeParams: completedJobStatus.details ? completedJobStatus.details.modeParams : null
     });
   }
   
@@ -350,7 +687,11 @@ app.get('/render/status/:jobId', async (req, res) => {
     error: job.error,
     createdAt: job.createdAt,
     startedAt: job.startedAt,
-    completedAt: job.completedAt
+    completedAt: job.completedAt,
+    tempo: job.result ? job.result.tempo : null,
+    key: job.result ? job.result.key : null,
+    seed: job.config ? job.config.seed : null,
+    modeParams: job.config ? job.config.modeParams : null
   });
 });
 
@@ -422,6 +763,11 @@ app.get('/render/stats', (req, res) => {
   res.json(jobQueue.getStats());
 });
 
+// List installed visual modes with their parameter schemas
+app.get('/render/modes', (req, res) => {
+  res.json({ modes: listModes() });
+});
+
 // Get detailed queue status with server health
 app.get('/render/queue', (req, res) => {
   const stats = jobQueue.getStats();
@@ -522,6 +868,41 @@ app.post('/memory/clear', (req, res) => {
   }
 });
 
+// Audio analysis cache inspection
+app.get('/analysis/cache', async (req, res) => {
+  try {
+    res.json(await analysisCache.getStats());
+  } catch (error) {
+    console.error('Analysis cache stats error:', error);
+    res.status(500).json({ error: 'Failed to read analysis cache', message: error.message });
+  }
+});
+
+// Clear the whole audio analysis cache
+app.delete('/analysis/cache', async (req, res) => {
+  try {
+    const removed = await analysisCache.clear();
+    console.log(`🧹 Analysis cache cleared via API (${removed} entries)`);
+    res.json({ success: true, removed, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Analysis cache clear error:', error);
+    res.status(500).json({ success: false, error: 'Failed to clear analysis cache', message: error.message });
+  }
+});
+
+// Remove a single audio analysis cache entry
+app.delete('/analysis/cache/:key', async (req, res) => {
+  try {
+    const existed = await analysisCache.remove(req.params.key);
+    if (!existed) {
+      return res.status(404).json({ success: false, error: 'Cache entry not found' });
+    }
+    res.json({ success: true, key: req.params.key });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
 // VIXA STUDIOS: Render isolation status endpoint
 app.get('/render/isolation/:jobId', (req, res) => {
   const jobId = req.params.jobId;
@@ -593,6 +974,124 @@ app.get('/render/position/:jobId', (req, res) => {
   });
 });
 
+// Wait until a response can take more data (or the client went away)
+function waitForDrain(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.once('drain', done);
+    res.once('close', done);
+  });
+}
+
+// Stream analysis JSON frame by frame so long tracks never build one giant string
+async function sendAnalysisJson(res, body, store) {
+  res.setHeader('Content-Type', 'application/json');
+  res.write(JSON.stringify(body).slice(0, -1) + ',"frames":[');
+  
+  const batchSize = 100;
+  for (let i = 0; i < store.frameCount && !res.destroyed; i += batchSize) {
+    const batch = [];
+    for (let j = i; j < Math.min(store.frameCount, i + batchSize); j++) {
+      batch.push(JSON.stringify(store.getPlainFrame(j)));
+    }
+    const ok = res.write((i > 0 ? ',' : '') + batch.join(','));
+    if (!ok) await waitForDrain(res);
+  }
+  
+  res.end(']}');
+}
+
+// Analyze audio and return the same per-frame features the renderer uses
+app.post('/analyze', audioUpload.single('audio'), async (req, res) => {
+  const audioFile = req.file;
+  
+  try {
+    if (!audioFile) {
+      return res.status(400).json({ error: 'No audio file provided' });
+    }
+    
+    const startTime = req.body.startTime !== undefined ? Number(req.body.startTime) : 0;
+    const endTime = Number(req.body.endTime);
+    const fps = req.body.fps !== undefined ? Number(req.body.fps) : 60;
+    const format = req.body.format || req.query.format || 'json';
+    
+    if (!Number.isFinite(startTime) || startTime < 0) {
+      return res.status(400).json({ error: 'startTime must be a number >= 0' });
+    }
+    if (!Number.isFinite(endTime) || endTime <= startTime) {
+      return res.status(400).json({ error: 'endTime must be a number greater than startTime' });
+    }
+    if (!Number.isFinite(fps) || fps < 1 || fps > 240) {
+      return res.status(400).json({ error: 'fps must be between 1 and 240' });
+    }
+    if (!['json', 'binary'].includes(format)) {
+      return res.status(400).json({ error: 'format must be "json" or "binary"' });
+    }
+    
+    let analysisOptions;
+    try {
+      analysisOptions = AudioAnalyzer.resolveOptions(JSON.parse(req.body.analysis || '{}'));
+    } catch (validationError) {
+      return res.status(400).json({ error: `Invalid analysis options: ${validationError.message}` });
+    }
+    
+    const audioAnalyzer = new AudioAnalyzer(audioFile.path, startTime, endTime, analysisOptions);
+    const { store, cached } = await audioAnalyzer.analyzeCached(fps, analysisCache);
+    
+    // Optional comma-separated subset of frame fields, e.g. "freq,rms,beat"
+    let output = store;
+    if (req.body.fields) {
+      try {
+        output = store.select(String(req.body.fields).split(',').map(name => name.trim()).filter(Boolean));
+      } catch (fieldError) {
+        return res.status(400).json({
+          error: fieldError.message,
+          availableFields: store.fields.map(field => field.name)
+        });
+      }
+    }
+    
+    const summary = audioAnalyzer.getSummary();
+    console.log(`Analysis of ${audioFile.originalname}: ${store.frameCount} frames at ${fps}fps (${cached ? 'cached' : 'fresh'}, ${format})`);
+    
+    if (format === 'binary') {
+      const body = output.serialize({ startTime, endTime, options: analysisOptions, summary });
+      res.setHeader('Content-Type', 'application/octet-stream');
+      res.setHeader('Content-Length', body.length);
+      res.setHeader('X-Analysis-Cached', String(cached));
+      return res.end(body);
+    }
+    
+    await sendAnalysisJson(res, {
+      success: true,
+      cached,
+      startTime,
+      endTime,
+      fps,
+      frameCount: output.frameCount,
+      options: analysisOptions,
+      summary,
+      fields: output.fields
+    }, output);
+    
+  } catch (error) {
+    console.error('Audio analysis error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      error: 'Audio analysis failed',
+      message: error.message
+    });
+  } finally {
+    if (audioFile) await fs.remove(audioFile.path).catch(() => {});
+  }
+});
+
 // Convert WebM to MP4 endpoint
 app.post('/convert', upload.single('video'), async (req, res) => {
   try {
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const FrameStore = require('../frameStore');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vixa-analysis-'));
+process.env.ANALYSIS_CACHE_DIR = path.join(tempDir, 'shared');
+test.after(() => fs.removeSync(tempDir));
+
+const { AnalysisCache, analysisCache } = require('../analysisCache');
+
+let cacheCount = 0;
+const newCache = (options = {}) => new AnalysisCache({ cacheDir: path.join(tempDir, `cache${cacheCount++}`), ...options });
+
+function makeStore(level) {
+  const store = new FrameStore(4, 30, [{ name: 'rms', kind: 'float' }, { name: 'freq', kind: 'bytes', size: 8 }]);
+  for (let i = 0; i < 4; i++) {
+    store.set('rms', i, level * i);
+    store.set('freq', i, new Array(8).fill(level * 10));
+  }
+  return store;
+}
+
+const keyOf = (character) => character.repeat(64);
+
+test('the shared cache lives in ANALYSIS_CACHE_DIR', () => {
+  assert.strictEqual(analysisCache.cacheDir, process.env.ANALYSIS_CACHE_DIR);
+});
+
+test('entries round-trip with their meta', async () => {
+  const cache = newCache();
+  assert.strictEqual(await cache.get(keyOf('a')), null);
+
+  await cache.set(keyOf('a'), makeStore(0.25), { tempo: 120 });
+  const { store, meta } = await cache.get(keyOf('a'));
+  assert.deepStrictEqual(meta, { tempo: 120 });
+  assert.deepStrictEqual(store.toArray(), makeStore(0.25).toArray());
+  assert.deepStrictEqual([cache.hits, cache.misses], [1, 1]);
+});
+
+test('keys are content hashes of the audio and parameters', async () => {
+  const cache = newCache();
+  const audioPath = path.join(tempDir, 'tone.wav');
+  await fs.writeFile(audioPath, Buffer.from('not really audio'));
+
+  const key = await cache.getKey(audioPath, { fps: 30 });
+  assert.match(key, /^[a-f0-9]{64}$/);
+  assert.strictEqual(await cache.getKey(audioPath, { fps: 30 }), key);
+  assert.notStrictEqual(await cache.getKey(audioPath, { fps: 60 }), key);
+});
+
+test('keys that are not hashes are rejected', async () => {
+  const cache = newCache();
+  for (const key of ['../../etc/passwd', keyOf('A'), keyOf('a').slice(1), `${keyOf('a')}.bin`, '']) {
+    await assert.rejects(cache.get(key), { message: `Invalid analysis cache key: ${key}` });
+    await assert.rejects(cache.set(key, makeStore(1)), /Invalid analysis cache key/);
+  }
+});
+
+test('unreadable entries are discarded as misses', async () => {
+  const cache = newCache();
+  await fs.outputFile(path.join(cache.cacheDir, `${keyOf('b')}.bin`), 'garbage');
+  assert.strictEqual(await cache.get(keyOf('b')), null);
+  assert.strictEqual(await fs.pathExists(path.join(cache.cacheDir, `${keyOf('b')}.bin`)), false);
+});
+
+test('least recently used entries are evicted past maxBytes', async () => {
+  const entrySize = makeStore(1).serialize().length;
+  const cache = newCache({ maxBytes: entrySize * 2 });
+  const age = async (key, secondsAgo) => {
+    const time = new Date(Date.now() - secondsAgo * 1000);
+    await fs.utimes(cache.entryPath(key), time, time);
+  };
+
+  await cache.set(keyOf('a'), makeStore(1));
+  await cache.set(keyOf('b'), makeStore(2));
+  await age(keyOf('a'), 30);
+  await age(keyOf('b'), 20);
+  await cache.get(keyOf('a')); // now the most recently used
+
+  await cache.set(keyOf('c'), makeStore(3));
+  assert.deepStrictEqual((await cache.listEntries()).map(entry => entry.key).sort(), [keyOf('a'), keyOf('c')]);
+
+  const stats = await cache.getStats();
+  assert.strictEqual(stats.entries, 2);
+  assert.strictEqual(stats.totalBytes, entrySize * 2);
+});
+
+test('entries are written to a temporary file, then renamed into place', async (t) => {
+  const cache = newCache();
+  const finalPath = cache.entryPath(keyOf('d'));
+  const moves = [];
+  const move = fs.move;
+  t.after(() => { fs.move = move; });
+  fs.move = async (from, to, options) => {
+    moves.push({ from, to, partial: await fs.pathExists(to), written: (await fs.readFile(from)).length });
+    return move(from, to, options);
+  };
+
+  await cache.set(keyOf('d'), makeStore(1));
+  assert.strictEqual(moves.length, 1);
+  assert.strictEqual(moves[0].to, finalPath);
+  assert.match(path.basename(moves[0].from), new RegExp(`^${keyOf('d')}\\.bin\\..+\\.tmp$`));
+  assert.strictEqual(moves[0].partial, false);
+  assert.strictEqual(moves[0].written, makeStore(1).serialize().length);
+  assert.deepStrictEqual(await fs.readdir(cache.cacheDir), [`${keyOf('d')}.bin`]);
+});
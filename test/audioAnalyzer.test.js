@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AudioAnalyzer = require('../audioAnalyzer');
+
+test('frames shorter than the bin count still fill the waveform', () => {
+  const analyzer = new AudioAnalyzer('generated.wav', 0, 1, { bins: 1024 });
+  // 60fps at 22050Hz: 367 samples per frame
+  const samples = Float32Array.from({ length: 367 }, (_, i) => Math.sin(i / 20));
+  const wave = analyzer.calculateWaveform(samples);
+
+  assert.strictEqual(wave.length, 1024);
+  assert.ok(wave.every(Number.isInteger));
+  assert.strictEqual(wave[0], 127);
+  assert.strictEqual(wave[1023], Math.floor((samples[366] + 1) * 127.5));
+});
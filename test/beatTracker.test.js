@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AudioAnalyzer = require('../audioAnalyzer');
+const { detectBeats } = require('../beatTracker');
+
+const SAMPLE_RATE = 44100;
+
+/**
+ * Tempo of 10 seconds of generated mono audio, run through the analyzer
+ */
+async function analyzeTempo(sample) {
+  const analyzer = new AudioAnalyzer('generated.wav', 0, 10);
+  analyzer.readSegmentPcm = async function* () {
+    const channel = Float32Array.from({ length: SAMPLE_RATE * 10 }, (_, i) => sample(i));
+    yield { sampleRate: SAMPLE_RATE, channels: [channel, channel] };
+  };
+  await analyzer.analyze(30);
+  return analyzer.tempo;
+}
+
+test('a steady sine has no tempo', async () => {
+  const tempo = await analyzeTempo(i => 0.5 * Math.sin((2 * Math.PI * 440 * i) / SAMPLE_RATE));
+  assert.strictEqual(tempo.bpm, 0);
+  assert.strictEqual(tempo.confidence, 0);
+  assert.deepStrictEqual(tempo.beats, []);
+});
+
+test('clicks every half second read as 120 BPM', async () => {
+  // Decaying bursts of a fixed pseudo-random signal, one per beat
+  const click = (t) => Math.sin(t * 12.9898) * Math.exp(-t / 80) * 0.8;
+  const tempo = await analyzeTempo(i => (i % 22050 < 400 ? click(i % 22050) : 0));
+  assert.ok(Math.abs(tempo.bpm - 120) < 1, `expected ~120 BPM, got ${tempo.bpm}`);
+  assert.ok(tempo.confidence > 0.5);
+});
+
+test('an envelope of small fluctuations is not a rhythm', () => {
+  const envelope = Float32Array.from({ length: 300 }, (_, i) => 0.002 + (i % 3 === 0 ? 0.004 : 0));
+  const result = detectBeats(envelope, 30);
+  assert.strictEqual(result.bpm, 0);
+  assert.strictEqual(result.onsets.reduce((sum, v) => sum + v, 0), 0);
+});
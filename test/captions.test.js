@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTimestamp, parseCaptions, findCue } = require('../captions');
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+
+test('timestamps in every supported notation', () => {
+  near(parseTimestamp('01:02.50'), 62.5);
+  near(parseTimestamp('00:00:03,250'), 3.25);
+  near(parseTimestamp('1:00:00.001'), 3600.001);
+  assert.ok(Number.isNaN(parseTimestamp('1.5')));
+});
+
+test('LRC lines run until the next one, capped at 8 seconds', () => {
+  const { format, cues } = parseCaptions([
+    '[ar:Artist]',
+    '[00:01.00]First line',
+    '[00:03.50][00:30.00]Chorus',
+    '[00:10:20]Colon centiseconds'
+  ].join('\n'), 'song.lrc');
+
+  assert.strictEqual(format, 'lrc');
+  assert.deepStrictEqual(cues.map(cue => cue.text), ['First line', 'Chorus', 'Colon centiseconds', 'Chorus']);
+  near(cues[0].end, 3.5);
+  near(cues[1].end, 10.2);
+  near(cues[2].start, 10.2);
+  near(cues[2].end, 18.2); // Capped: the next line only starts at 30s
+  near(cues[3].end, 38);
+  assert.strictEqual(cues[0].words, null);
+});
+
+test('LRC [offset:] shifts every cue and word earlier', () => {
+  const { cues } = parseCaptions('[offset:+500]\n[00:02.00]<00:02.00>Hello <00:02.80>world\n[00:04.00]Next', 'song.lrc');
+  near(cues[0].start, 1.5);
+  near(cues[0].end, 3.5);
+  assert.strictEqual(cues[0].text, 'Hello world');
+  assert.strictEqual(cues[0].words.length, 2);
+  near(cues[0].words[0].start, 1.5);
+  near(cues[0].words[0].end, 2.3);
+  near(cues[0].words[1].start, 2.3);
+  near(cues[0].words[1].end, 3.5);
+});
+
+test('SRT cues strip markup and keep line breaks', () => {
+  const { format, cues } = parseCaptions([
+    '1',
+    '00:00:01,000 --> 00:00:02,500',
+    '<i>Hello</i>',
+    'there',
+    '',
+    '2',
+    '00:00:03,000 --> 00:00:04,000',
+    '{\\an8}Top'
+  ].join('\r\n'), 'subs.srt');
+
+  assert.strictEqual(format, 'srt');
+  assert.deepStrictEqual(cues.map(({ start, end, text }) => ({ start, end, text })), [
+    { start: 1, end: 2.5, text: 'Hello\nthere' },
+    { start: 3, end: 4, text: 'Top' }
+  ]);
+});
+
+test('WebVTT cue settings are ignored and word timestamps are read', () => {
+  const { format, cues } = parseCaptions([
+    'WEBVTT',
+    '',
+    'NOTE a comment',
+    '',
+    '00:00:01.000 --> 00:00:03.000 align:center line:90%',
+    '<00:00:01.000>One <00:00:01.500><c.yellow>two</c> <00:00:02.000>three'
+  ].join('\n'));
+
+  assert.strictEqual(format, 'vtt');
+  assert.strictEqual(cues.length, 1);
+  assert.strictEqual(cues[0].text, 'One two three');
+  assert.deepStrictEqual(cues[0].words, [
+    { start: 1, end: 1.5, text: 'One' },
+    { start: 1.5, end: 2, text: 'two' },
+    { start: 2, end: 3, text: 'three' }
+  ]);
+});
+
+test('findCue returns the cue showing at a time', () => {
+  const { cues } = parseCaptions('1\n00:00:01,000 --> 00:00:02,000\nA\n\n2\n00:00:03,000 --> 00:00:04,000\nB', 'subs.srt');
+  assert.strictEqual(findCue(cues, 0.5), null);
+  assert.strictEqual(findCue(cues, 1.5).text, 'A');
+  assert.strictEqual(findCue(cues, 2.5), null);
+  assert.strictEqual(findCue(cues, 3).text, 'B');
+});
+
+test('unparseable captions are rejected', () => {
+  assert.throws(() => parseCaptions('just some text', 'notes.txt'), /Unrecognized captions format/);
+  assert.throws(() => parseCaptions('1\n00:00:01,000 --> soon\nHi', 'subs.srt'), /Invalid SRT timing line/);
+  assert.throws(() => parseCaptions('WEBVTT\n\nNOTE nothing timed', 'subs.vtt'), /No timed cues found in VTT captions/);
+  assert.throws(() => parseCaptions('[ar:Artist]\n[ti:Title]', 'song.lrc'), /No timed cues found in LRC captions/);
+});
@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const FrameStore = require('../frameStore');
+
+test('byte fields clamp instead of wrapping', () => {
+  const store = new FrameStore(1, 30, [
+    { name: 'freq', kind: 'bytes', size: 4 },
+    { name: 'level', kind: 'bytes' }
+  ]);
+  store.set('freq', 0, [-3, 256, 300.4, 127.6]);
+  store.set('level', 0, 1000);
+
+  assert.deepStrictEqual(Array.from(store.get('freq', 0)), [0, 255, 255, 128]);
+  assert.strictEqual(store.get('level', 0), 255);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { cubicBezier, ease, evaluateTrack, setPath, applyKeyframes, validateKeyframes } = require('../keyframes');
+
+const near = (actual, expected, tolerance = 1e-4) => assert.ok(Math.abs(actual - expected) < tolerance, `expected ${expected}, got ${actual}`);
+
+test('easing presets and cubic-bezier curves', () => {
+  near(ease('linear', 0.3), 0.3);
+  near(ease(undefined, 0.3), 0.3);
+  assert.strictEqual(ease('step', 0.99), 0);
+  near(ease('ease-in-out', 0.5), 0.5);
+  near(ease('ease', 0.5), 0.8024);
+  assert.ok(ease('ease-in', 0.5) < 0.5);
+  assert.ok(ease('ease-out', 0.5) > 0.5);
+  near(cubicBezier([0, 0, 1, 1], 0.37), 0.37);
+  near(ease([0.42, 0, 0.58, 1], 0.25), ease('ease-in-out', 0.25));
+  // Overshooting y control points leave the 0-1 range
+  assert.ok(ease([0.3, 1.6, 0.7, 1.6], 0.5) > 1);
+});
+
+test('numbers, colors and other values between keys', () => {
+  const track = (keys) => ({ property: 'x', keys });
+  near(evaluateTrack(track([{ t: 0, value: 0 }, { t: 2, value: 10 }]), 0.5), 2.5);
+  assert.strictEqual(evaluateTrack(track([{ t: 0, value: '#000000' }, { t: 1, value: '#ff8000' }]), 0.5), '#804000');
+  assert.strictEqual(evaluateTrack(track([{ t: 0, value: 'neon' }, { t: 1, value: 'sunset' }]), 0.9), 'neon');
+  assert.strictEqual(evaluateTrack(track([{ t: 0, value: 0, easing: 'step' }, { t: 1, value: 10 }]), 0.9), 0);
+  assert.strictEqual(evaluateTrack(track([{ t: 0, value: 0, easing: 'step' }, { t: 1, value: 10 }]), 1), 10);
+});
+
+test('values hold outside the keyed range', () => {
+  const track = { property: 'opacity', keys: [{ t: 1, value: 0.2 }, { t: 2, value: 0.8 }] };
+  assert.strictEqual(evaluateTrack(track, 0), 0.2);
+  assert.strictEqual(evaluateTrack(track, 5), 0.8);
+  assert.strictEqual(evaluateTrack({ property: 'x', keys: [{ t: 3, value: 7 }] }, 10), 7);
+});
+
+test('applyKeyframes sets dotted paths on a copy', () => {
+  const layer = {
+    opacity: 1,
+    transform: { x: 0.5, y: 0.5 },
+    keyframes: [{ property: 'transform.x', keys: [{ t: 0, value: 0 }, { t: 1, value: 1 }] }]
+  };
+  const animated = applyKeyframes(layer, 0.25);
+  near(animated.transform.x, 0.25);
+  assert.strictEqual(animated.transform.y, 0.5);
+  assert.strictEqual(layer.transform.x, 0.5);
+  assert.strictEqual(applyKeyframes({ opacity: 1 }, 0).opacity, 1);
+  assert.deepStrictEqual(setPath({}, 'clip.width', 0.5), { clip: { width: 0.5 } });
+});
+
+test('invalid tracks are rejected with the layer label', () => {
+  const check = (tracks) => () => validateKeyframes(tracks, 'layers[1]');
+  assert.doesNotThrow(check(undefined));
+  assert.doesNotThrow(check([{ property: 'transform.x', keys: [{ t: 0, value: 0, easing: [0.1, -1, 0.9, 2] }] }]));
+  assert.throws(check({}), /^Error: layers\[1\]\.keyframes must be an array of tracks$/);
+  assert.throws(check([{ property: 'a..b', keys: [] }]), /layers\[1\]\.keyframes\[0\] needs a property name/);
+  assert.throws(check([{ property: 'keyframes', keys: [{ t: 0, value: 1 }] }]), /cannot animate keyframes/);
+  assert.throws(check([{ property: 'opacity', keys: [] }]), /\(opacity\) needs at least one key/);
+  assert.throws(check([{ property: 'opacity', keys: [{ t: -1, value: 1 }] }]), /without a valid time "t"/);
+  assert.throws(check([{ property: 'opacity', keys: [{ t: 1, value: 1 }, { t: 1, value: 0 }] }]), /increasing time order/);
+  assert.throws(check([{ property: 'opacity', keys: [{ t: 1 }] }]), /key at 1s without a value/);
+  assert.throws(check([{ property: 'opacity', keys: [{ t: 0, value: 1, easing: 'bounce' }] }]), /invalid easing "bounce"/);
+  assert.throws(check([{ property: 'opacity', keys: [{ t: 0, value: 1, easing: [2, 0, 0.5, 1] }] }]), /invalid easing \[2,0,0.5,1\]/);
+});
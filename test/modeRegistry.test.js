@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// Stand-in for node-canvas, which some modes load. Also injected into the
+// spawned server below, so it must not close over anything.
+function stubCanvas() {
+  const Module = require('module');
+  const load = Module._load;
+  Module._load = function (request, ...rest) {
+    if (request === 'canvas') {
+      return { createCanvas: () => ({}), loadImage: async () => ({}), registerFont() {}, deregisterAllFonts() {} };
+    }
+    return load.call(this, request, ...rest);
+  };
+}
+stubCanvas();
+
+const { registerMode, getMode, listModes, resolveParams, validateParams } = require('../modeRegistry');
+
+const render = () => {};
+
+test('registerMode rejects malformed plugins', () => {
+  assert.throws(() => registerMode({ render }), /needs an id of lowercase letters/);
+  assert.throws(() => registerMode({ id: 'Glow', render }), /needs an id of lowercase letters/);
+  assert.throws(() => registerMode({ id: 'bars', render }), /Mode "bars" is already registered/);
+  assert.throws(() => registerMode({ id: 'no-render' }), /needs a render\(ctx, frame, params, state\) function/);
+  assert.throws(() => registerMode({ id: 'bad-init', render, init: true }), /init must be a function/);
+  assert.throws(() => registerMode({ id: 'bad-params', render, params: [] }), /params must be an object/);
+  assert.throws(() => registerMode({ id: 'bad-type', render, params: { size: { type: 'float', default: 1 } } }),
+    /param "size" needs a type \(number, integer, boolean, string, color\)/);
+  assert.throws(() => registerMode({ id: 'bad-bound', render, params: { size: { type: 'number', default: 1, max: '2' } } }),
+    /param "size" max must be a number/);
+  assert.throws(() => registerMode({ id: 'bad-options', render, params: { shape: { type: 'string', default: 'a', options: [1] } } }),
+    /param "shape" options must be an array of strings/);
+  assert.throws(() => registerMode({ id: 'bad-default', render, params: { count: { type: 'integer', default: 20, min: 1, max: 10 } } }),
+    /param "count" default must be an integer from 1 to 10/);
+  assert.strictEqual(getMode('bad-default'), undefined);
+});
+
+registerMode({
+  id: 'test-plugin',
+  description: 'Registry test mode',
+  params: {
+    size: { type: 'number', default: 0.5, min: 0, max: 1 },
+    count: { type: 'integer', default: 3, min: 1, max: 10 },
+    shape: { type: 'string', default: 'circle', options: ['circle', 'square'] },
+    tint: { type: 'color', default: '#ffffff' },
+    glow: { type: 'boolean', default: true }
+  },
+  render
+});
+
+test('registered modes are listed with their schemas', () => {
+  const listed = listModes().find(mode => mode.id === 'test-plugin');
+  assert.strictEqual(listed.description, 'Registry test mode');
+  assert.deepStrictEqual(Object.keys(listed.params), ['size', 'count', 'shape', 'tint', 'glow']);
+  assert.ok(listModes().some(mode => mode.id === 'bars'));
+});
+
+test('resolveParams clamps and rounds animated numbers and falls back to defaults', () => {
+  assert.deepStrictEqual(resolveParams(getMode('test-plugin'), undefined),
+    { size: 0.5, count: 3, shape: 'circle', tint: '#ffffff', glow: true });
+  assert.deepStrictEqual(resolveParams(getMode('test-plugin'), { size: 1.7, count: 4.6, shape: 'square', tint: '#00ff00', glow: false }),
+    { size: 1, count: 5, shape: 'square', tint: '#00ff00', glow: false });
+  assert.deepStrictEqual(resolveParams(getMode('test-plugin'), { size: -2, count: 99, shape: 'star', tint: 'green', glow: 'yes' }),
+    { size: 0, count: 10, shape: 'circle', tint: '#ffffff', glow: true });
+  assert.strictEqual(resolveParams(getMode('test-plugin'), { count: NaN }).count, 3);
+});
+
+test('validateParams names the layer, parameter and mode', () => {
+  const bars = getMode('bars');
+  assert.doesNotThrow(() => validateParams(bars, { barCount: 48 }, 'layers[0]'));
+  assert.doesNotThrow(() => validateParams(bars, undefined, 'layers[0]'));
+  assert.throws(() => validateParams(bars, { barCount: 600 }, 'layers[0]'),
+    { message: 'layers[0].params.barCount must be an integer from 8 to 512 (mode "bars")' });
+  assert.throws(() => validateParams(bars, { barCount: 48.5 }, 'layers[0]'),
+    { message: 'layers[0].params.barCount must be an integer from 8 to 512 (mode "bars")' });
+  assert.throws(() => validateParams(bars, { speed: 2 }, 'layers[1]'),
+    { message: 'layers[1].params.speed is not a parameter of mode "bars" (use barCount, height)' });
+  assert.throws(() => validateParams(getMode('test-plugin'), { shape: 'star' }, 'scenes[0].layers[2]'),
+    { message: 'scenes[0].layers[2].params.shape must be one of circle, square (mode "test-plugin")' });
+  assert.throws(() => validateParams(bars, [], 'layers[0]'), { message: 'layers[0].params must be an object' });
+});
+
+/**
+ * Start server.js in a child process with node-canvas stubbed out, resolving
+ * once it listens. The job queue's timers would keep this process alive, so
+ * the server can't be required in-process.
+ */
+function startServer(env) {
+  const port = 20000 + (process.pid % 20000);
+  const child = spawn(process.execPath, ['-e', `(${stubCanvas})(); require(${JSON.stringify(path.join(__dirname, '..', 'server.js'))});`], {
+    env: { ...process.env, ...env, PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  return new Promise((resolve, reject) => {
+    let output = '';
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`server did not start:\n${output}`));
+    }, 10000);
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes(`running on port ${port}`)) {
+        clearTimeout(timer);
+        resolve({ url: `http://127.0.0.1:${port}`, stop: () => child.kill() });
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.on('exit', () => {
+      clearTimeout(timer);
+      reject(new Error(`server exited:\n${output}`));
+    });
+  });
+}
+
+test('GET /render/modes lists plugins and bad params are rejected with 400', async (t) => {
+  const modesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vixa-modes-'));
+  fs.writeFileSync(path.join(modesDir, 'pulse-ring.js'), `module.exports = {
+    id: 'pulse-ring',
+    description: 'Test plugin',
+    params: { radius: { type: 'number', default: 0.3, min: 0, max: 1 } },
+    render() {}
+  };`);
+  const server = await startServer({ MODES_DIR: modesDir, ANALYSIS_CACHE_DIR: path.join(modesDir, 'analysis') });
+  t.after(() => {
+    server.stop();
+    fs.rmSync(modesDir, { recursive: true, force: true });
+  });
+
+  const { modes } = await (await fetch(`${server.url}/render/modes`)).json();
+  assert.deepStrictEqual(modes.find(mode => mode.id === 'pulse-ring'), {
+    id: 'pulse-ring',
+    description: 'Test plugin',
+    params: { radius: { type: 'number', default: 0.3, min: 0, max: 1 } }
+  });
+  assert.deepStrictEqual(modes.find(mode => mode.id === 'bars').params.barCount,
+    { type: 'integer', default: 96, min: 8, max: 512, description: 'Number of bars' });
+
+  const body = new FormData();
+  body.append('audio', new Blob([Buffer.alloc(64)], { type: 'audio/wav' }), 'tone.wav');
+  body.append('config', JSON.stringify({ startTime: 0, endTime: 1, layers: [{ mode: 'bars', params: { barCount: 600 } }] }));
+  const response = await fetch(`${server.url}/render/start`, { method: 'POST', body });
+  assert.strictEqual(response.status, 400);
+  assert.deepStrictEqual(await response.json(),
+    { error: 'Invalid params: layers[0].params.barCount must be an integer from 8 to 512 (mode "bars")' });
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CURVES, mapModulation, combineModulation, validateModulations } = require('../modulation');
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+
+test('values map from the input range onto the output range', () => {
+  near(mapModulation(0.5, {}), 0.5);
+  near(mapModulation(0.25, { inputRange: [0, 0.5], outputRange: [1, 1.3] }), 1.15);
+  // Clamped to the input range, and outputs may run downwards
+  near(mapModulation(2, { inputRange: [0, 1], outputRange: [10, 0] }), 0);
+  near(mapModulation(-1, { inputRange: [0, 1], outputRange: [10, 0] }), 10);
+  near(mapModulation(0.7, { inputRange: [0.5, 0.5], outputRange: [3, 4] }), 3);
+});
+
+test('curves shape the normalized value', () => {
+  near(mapModulation(0.5, { curve: 'linear' }), 0.5);
+  near(mapModulation(0.5, { curve: 'exp' }), 0.25);
+  near(mapModulation(0.25, { curve: 'log' }), 0.5);
+  near(mapModulation(0.25, { curve: 'smooth' }), 0.15625);
+  for (const curve of Object.values(CURVES)) {
+    near(curve(0), 0);
+    near(curve(1), 1);
+  }
+});
+
+test('replace, add and multiply combine with the current value', () => {
+  assert.strictEqual(combineModulation(2, 0.5), 0.5);
+  assert.strictEqual(combineModulation(2, 0.5, 'replace'), 0.5);
+  assert.strictEqual(combineModulation(2, 0.5, 'add'), 2.5);
+  assert.strictEqual(combineModulation(2, 0.5, 'multiply'), 1);
+  // Missing properties count as 0 when adding and 1 when multiplying
+  assert.strictEqual(combineModulation(undefined, 0.5, 'add'), 0.5);
+  assert.strictEqual(combineModulation(undefined, 0.5, 'multiply'), 0.5);
+});
+
+test('bindings with unknown sources or bad settings are rejected', () => {
+  const check = (binding) => () => validateModulations([{ target: 'opacity', source: 'rms', ...binding }], 'layers[0]');
+  assert.doesNotThrow(check({}));
+  assert.doesNotThrow(check({ source: 'bands.bass', curve: 'exp', mode: 'add', attack: 10, release: 200 }));
+  assert.doesNotThrow(check({ source: 'chroma.11' }));
+  assert.doesNotThrow(() => validateModulations(undefined, 'layers[0]'));
+
+  assert.throws(() => validateModulations({}, 'layers[0]'), /layers\[0\]\.modulations must be an array of bindings/);
+  assert.throws(check({ source: 'loudness' }), /layers\[0\]\.modulations\[0\] has unknown source "loudness" \(use rms, /);
+  assert.throws(check({ source: 'bands' }), /unknown source "bands"/);
+  assert.throws(check({ source: 'rms.left' }), /unknown source "rms.left"/);
+  assert.throws(check({ source: 'chroma.12' }), /needs a pitch class 0-11/);
+  assert.throws(check({ target: 'modulations.0' }), /cannot modulate modulations.0/);
+  assert.throws(check({ target: '' }), /needs a target property/);
+  assert.throws(check({ inputRange: [0] }), /inputRange must be \[min, max\]/);
+  assert.throws(check({ curve: 'cubic' }), /unknown curve "cubic" \(use linear, exp, log, smooth\)/);
+  assert.throws(check({ mode: 'subtract' }), /unknown mode "subtract" \(use replace, add, multiply\)/);
+  assert.throws(check({ release: -5 }), /release must be a time in ms/);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EFFECTS, applyPostEffect, validatePostEffects } = require('../postEffects');
+
+const image = (value = 200) => ({ data: new Uint8ClampedArray(4 * 4 * 4).fill(value), width: 4, height: 4 });
+
+test('effect parameters within range are accepted', () => {
+  assert.doesNotThrow(() => validatePostEffects(undefined));
+  assert.doesNotThrow(() => validatePostEffects([
+    { type: 'bloom', threshold: 0, intensity: 2, radius: 0 },
+    { type: 'bloom', threshold: 1 },
+    { type: 'rgbSplit', amount: 10, angle: -90 },
+    { type: 'scanlines', amount: 1, spacing: 4 },
+    { type: 'grain' }
+  ]));
+});
+
+test('out of range effect parameters are rejected', () => {
+  const rejects = (effect, message) => assert.throws(() => validatePostEffects([effect], 'scenes[1].postEffects'),
+    { message: `scenes[1].postEffects[0] (${effect.type}) ${message}` });
+
+  rejects({ type: 'blur', radius: -1 }, 'radius must be a number >= 0');
+  rejects({ type: 'bloom', radius: -4 }, 'radius must be a number >= 0');
+  rejects({ type: 'bloom', threshold: 1.5 }, 'threshold must be a number from 0 to 1');
+  rejects({ type: 'bloom', threshold: -0.1 }, 'threshold must be a number from 0 to 1');
+  rejects({ type: 'bloom', intensity: -0.5 }, 'intensity must be a number >= 0');
+  rejects({ type: 'chromaticAberration', amount: -2 }, 'amount must be a number >= 0');
+  rejects({ type: 'rgbSplit', amount: -6 }, 'amount must be a number >= 0');
+  rejects({ type: 'rgbSplit', angle: 'left' }, 'angle must be a number');
+  rejects({ type: 'vignette', size: 2 }, 'size must be a number from 0 to 1');
+  rejects({ type: 'grain', amount: '0.1' }, 'amount must be a number >= 0');
+  rejects({ type: 'scanlines', spacing: -3 }, 'spacing must be a number >= 0');
+});
+
+test('unknown effects are rejected', () => {
+  assert.throws(() => validatePostEffects({ type: 'blur' }), { message: 'postEffects must be an array' });
+  assert.throws(() => validatePostEffects([{ type: 'sharpen' }]),
+    { message: `postEffects[0] has unknown type "sharpen" (use ${Object.keys(EFFECTS).join(', ')})` });
+  assert.throws(() => validatePostEffects([{ type: 'toString' }]), /has unknown type "toString"/);
+  assert.throws(() => applyPostEffect(image(), { type: 'sharpen' }), { message: 'Unknown post effect "sharpen"' });
+});
+
+test('animated effect parameters are clamped to their range', () => {
+  // A negative vignette would brighten the corners
+  const unchanged = image();
+  applyPostEffect(unchanged, { type: 'vignette', amount: -5 });
+  assert.deepStrictEqual(unchanged.data, image().data);
+
+  const defaults = image();
+  applyPostEffect(defaults, { type: 'scanlines', amount: NaN });
+  assert.deepStrictEqual(Array.from(defaults.data.subarray(0, 4)), [140, 140, 140, 200]);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_SEED, hashString, createRandom, deriveRandom, randomSeed, isValidSeed } = require('../random');
+
+const take = (random, count = 5) => Array.from({ length: count }, () => random());
+
+test('the same seed and key give the same stream', () => {
+  assert.deepStrictEqual(take(deriveRandom(42, 'layer_rain')), take(deriveRandom(42, 'layer_rain')));
+  assert.deepStrictEqual(take(createRandom(7)), take(createRandom(7)));
+  assert.strictEqual(hashString('layer_0'), hashString('layer_0'));
+});
+
+test('other seeds and keys give other streams', () => {
+  const base = take(deriveRandom(42, 'layer_rain'));
+  assert.notDeepStrictEqual(take(deriveRandom(43, 'layer_rain')), base);
+  assert.notDeepStrictEqual(take(deriveRandom(42, 'layer_snow')), base);
+});
+
+test('streams stay in [0, 1)', () => {
+  for (const value of take(deriveRandom(MAX_SEED, 'x'), 1000)) {
+    assert.ok(value >= 0 && value < 1);
+  }
+});
+
+test('seeds are integers from 0 to MAX_SEED', () => {
+  assert.strictEqual(MAX_SEED, 4294967295);
+  for (const seed of [0, 1, MAX_SEED]) assert.strictEqual(isValidSeed(seed), true);
+  for (const seed of [-1, MAX_SEED + 1, 1.5, '1', null, NaN]) assert.strictEqual(isValidSeed(seed), false);
+  for (let i = 0; i < 100; i++) assert.ok(isValidSeed(randomSeed()));
+});
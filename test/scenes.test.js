@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveScenes, findScenes } = require('../scenes');
+
+const timeline = (scenes, extra = {}) => resolveScenes({ startTime: 10, endTime: 30, scenes, ...extra });
+const layers = [];
+
+test('without scenes the whole render is one scene', () => {
+  const config = { startTime: 10, endTime: 30, layers: [{ mode: 'bars' }], background: { color: '#000000' } };
+  const [scene, ...rest] = resolveScenes(config);
+  assert.strictEqual(rest.length, 0);
+  assert.deepStrictEqual([scene.start, scene.end, scene.transition], [0, 20, null]);
+  assert.strictEqual(scene.layers, config.layers);
+  assert.strictEqual(scene.background, config.background);
+});
+
+test('scenes end where the next one starts, the last at the end of the render', () => {
+  const scenes = timeline([
+    { start: 0, layers },
+    { start: 5, end: 8, layers, background: { color: '#ffffff' } },
+    { start: 12, layers }
+  ], { background: { color: '#000000' }, postEffects: [{ type: 'grain' }] });
+
+  assert.deepStrictEqual(scenes.map(scene => [scene.start, scene.end]), [[0, 5], [5, 8], [12, 20]]);
+  assert.deepStrictEqual(scenes.map(scene => scene.label), ['scenes[0].', 'scenes[1].', 'scenes[2].']);
+  assert.deepStrictEqual(scenes.map(scene => scene.background.color), ['#000000', '#ffffff', '#000000']);
+  assert.strictEqual(scenes[2].postEffects[0].type, 'grain');
+});
+
+test('overlapping, unordered and malformed scenes are rejected', () => {
+  assert.throws(() => timeline([]), /scenes must be a non-empty array/);
+  assert.throws(() => timeline([{ start: 0, layers }, { start: 0, layers }]), /scenes\[1\] must start after scenes\[0\]/);
+  assert.throws(() => timeline([{ start: 5, layers }, { start: 2, layers }]), /scenes\[1\] must start after scenes\[0\]/);
+  assert.throws(() => timeline([{ start: 0, end: 6, layers }, { start: 5, layers }]), /scenes\[0\] overlaps scenes\[1\] \(use a transition instead\)/);
+  assert.throws(() => timeline([{ start: 4, end: 4, layers }]), /scenes\[0\] end must be after its start/);
+  assert.throws(() => timeline([{ start: -1, layers }]), /scenes\[0\] needs a start time/);
+  assert.throws(() => timeline([{ start: 0 }]), /scenes\[0\] needs a layers array/);
+  assert.throws(() => timeline([{ start: 0, layers, transition: { type: 'spin' } }]), /unknown type "spin"/);
+  assert.throws(() => timeline([{ start: 0, layers, transition: { type: 'fade', duration: 0 } }]), /unknown type "fade"/);
+  assert.throws(() => timeline([{ start: 0, layers, transition: { type: 'crossfade', duration: 0 } }]), /duration must be a number of seconds/);
+  assert.throws(() => timeline([{ start: 0, layers, transition: { type: 'wipe', direction: 'diagonal' } }]), /direction must be one of left, right, up, down/);
+});
+
+test('gaps between scenes show nothing', () => {
+  const scenes = timeline([{ start: 2, end: 5, layers }, { start: 8, layers }]);
+  assert.deepStrictEqual(findScenes(scenes, 1), { scene: null });
+  assert.strictEqual(findScenes(scenes, 3).index, 0);
+  assert.deepStrictEqual(findScenes(scenes, 5), { scene: null });
+  assert.deepStrictEqual(findScenes(scenes, 7.9), { scene: null });
+  assert.strictEqual(findScenes(scenes, 8).index, 1);
+});
+
+test('transitions start with their scene and last their duration', () => {
+  const scenes = timeline([
+    { start: 0, layers },
+    { start: 5, layers, transition: { type: 'crossfade', duration: 2 } },
+    { start: 10, layers, transition: { type: 'cut' } }
+  ]);
+  assert.strictEqual(scenes[1].transition.duration, 2);
+  assert.deepStrictEqual(Object.keys(findScenes(scenes, 4.9)), ['scene', 'index']);
+
+  const start = findScenes(scenes, 5);
+  assert.strictEqual(start.scene, scenes[1]);
+  assert.strictEqual(start.previous, scenes[0]);
+  assert.strictEqual(start.progress, 0);
+  assert.strictEqual(findScenes(scenes, 6.5).progress, 0.75);
+  assert.strictEqual(findScenes(scenes, 7).previous, undefined);
+
+  // A cut switches at once, whatever its duration
+  assert.strictEqual(scenes[2].transition.duration, 1);
+  assert.deepStrictEqual(Object.keys(findScenes(scenes, 10)), ['scene', 'index']);
+});
+
+test('a transition after a gap starts from black', () => {
+  const scenes = timeline([
+    { start: 0, end: 4, layers },
+    { start: 6, layers, transition: { type: 'zoom', duration: 1 } }
+  ]);
+  const during = findScenes(scenes, 6.5);
+  assert.strictEqual(during.previous, null);
+  assert.strictEqual(during.progress, 0.5);
+});
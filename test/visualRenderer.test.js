@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vixa-renderer-'));
+process.env.FONT_CACHE_DIR = path.join(tempDir, 'fonts');
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+// Recording stand-in for node-canvas so frames render without the native module
+const fakeContext = () => new Proxy({ globalAlpha: 1 }, {
+  get(target, key) {
+    if (key in target) return target[key];
+    if (key === 'getImageData' || key === 'createImageData') {
+      return (...args) => ({ data: new Uint8ClampedArray(args[args.length - 2] * args[args.length - 1] * 4) });
+    }
+    if (key === 'measureText') return (text) => ({ width: text.length * 10 });
+    return () => {};
+  }
+});
+const registeredFonts = [];
+const loadModule = Module._load;
+Module._load = function (request, ...rest) {
+  if (request === 'canvas') {
+    return {
+      createCanvas: (width, height) => ({ width, height, getContext: fakeContext }),
+      loadImage: async () => ({ width: 1, height: 1 }),
+      registerFont: (file, face) => registeredFonts.push({ file, ...face }),
+      deregisterAllFonts: () => {}
+    };
+  }
+  return loadModule.call(this, request, ...rest);
+};
+
+const VisualRenderer = require('../visualRenderer');
+const { resolveScenes } = require('../scenes');
+
+const audio = { freq: new Array(64).fill(100), wave: new Array(64).fill(128), rms: 0.3 };
+
+function twoSceneRender(transition) {
+  const renderer = new VisualRenderer(320, 180);
+  renderer.setSeed(1);
+  const scenes = resolveScenes({
+    startTime: 0,
+    endTime: 4,
+    scenes: [
+      { start: 0, layers: [{ mode: 'rain', visible: true, opacity: 1 }] },
+      { start: 2, layers: [{ mode: 'rain', visible: true, opacity: 1 }], transition }
+    ]
+  });
+  return { renderer, scenes };
+}
+
+test('scenes keep separate state for layers without an id', async () => {
+  const { renderer, scenes } = twoSceneRender();
+  await renderer.renderTimeline(audio, scenes, {}, 1);
+  const first = renderer.layerCache.get('mode_rain_scene0/0');
+  const snapshot = first.drops.map(drop => drop.y);
+
+  await renderer.renderTimeline(audio, scenes, {}, 2.5);
+  const second = renderer.layerCache.get('mode_rain_scene1/0');
+  assert.ok(second);
+  assert.notStrictEqual(first, second);
+  assert.deepStrictEqual(first.drops.map(drop => drop.y), snapshot);
+});
+
+test('each scene advances once per frame during a transition', async () => {
+  const { renderer, scenes } = twoSceneRender({ type: 'crossfade', duration: 1 });
+  await renderer.renderTimeline(audio, scenes, {}, 2.2);
+  const states = ['scene0/0', 'scene1/0'].map(key => renderer.layerCache.get(`mode_rain_${key}`));
+  const before = states.map(state => state.drops.map(drop => ({ ...drop })));
+
+  await renderer.renderTimeline(audio, scenes, {}, 2.25);
+  states.forEach((state, i) => {
+    state.drops.forEach((drop, j) => {
+      const previous = before[i][j];
+      // Drops that fell off the bottom respawn above the frame
+      if (drop.y > 0) assert.ok(Math.abs(drop.y - (previous.y + previous.speed * 0.016)) < 1e-9);
+    });
+  });
+});
+
+test('pitch-mapped layers sharing a palette keep separate hue state', async () => {
+  const renderer = new VisualRenderer(320, 180);
+  renderer.setSeed(1);
+  const chroma = [0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0];
+  const layers = [
+    { mode: 'bars', visible: true, opacity: 1, paletteId: 'p', paletteMapping: 'pitch' },
+    { mode: 'bars', visible: true, opacity: 1, paletteId: 'p', paletteMapping: 'pitch', audioSource: 'vocals' }
+  ];
+  const frame = { ...audio, sources: { vocals: { ...audio, chroma: new Array(12).fill(0) } }, chroma };
+  await renderer.renderFrame(frame, layers, {}, null, { p: ['#ff0000'] }, 0);
+
+  const hues = ['0', '1'].map(key => renderer.layerCache.get(`palette_hue_${key}`));
+  assert.ok(hues[0] && hues[1]);
+  assert.notStrictEqual(hues[0], hues[1]);
+  assert.notDeepStrictEqual(hues[0], hues[1]);
+});
+
+test('fonts uploaded under the same family by different renders stay apart', async () => {
+  const upload = (name, contents) => {
+    const file = path.join(tempDir, name);
+    fs.writeFileSync(file, contents);
+    return { path: file, family: 'Bebas', weight: 'normal', style: 'normal' };
+  };
+  const first = await VisualRenderer.registerFonts([upload('a.ttf', 'first font')]);
+  const second = await VisualRenderer.registerFonts([upload('b.ttf', 'second font')]);
+  const again = await VisualRenderer.registerFonts([upload('c.ttf', 'first font')]);
+
+  assert.notStrictEqual(first.Bebas, second.Bebas);
+  assert.strictEqual(again.Bebas, first.Bebas);
+  assert.deepStrictEqual(registeredFonts.map(font => font.family), [first.Bebas, second.Bebas]);
+  assert.ok(registeredFonts.every(font => fs.existsSync(font.file)));
+
+  const renderer = new VisualRenderer(320, 180);
+  renderer.setFontFamilies(second);
+  renderer.applyTextStyle({ font: 'Bebas' }, ['#ffffff'], 0);
+  assert.ok(renderer.ctx.font.endsWith(`"${second.Bebas}", sans-serif`));
+  renderer.applyTextStyle({ font: 'Arial' }, ['#ffffff'], 0);
+  assert.ok(renderer.ctx.font.endsWith('"Arial", sans-serif'));
+});
+
+test('modulations rise with attack and fall with release', () => {
+  const renderer = new VisualRenderer(320, 180);
+  const layer = { opacity: 1, modulations: [{ target: 'opacity', source: 'rms', attack: 100, release: 400 }] };
+  const at = (ms, rms) => {
+    renderer.frameTime = ms;
+    return renderer.applyModulations(layer, { rms }, 'layer').opacity;
+  };
+
+  assert.strictEqual(at(0, 0), 0);
+  assert.ok(Math.abs(at(100, 1) - (1 - Math.exp(-1))) < 1e-9);
+  const peak = at(200, 1);
+  assert.ok(Math.abs(peak - (1 - Math.exp(-2))) < 1e-9);
+  assert.ok(Math.abs(at(600, 0) - peak * Math.exp(-1)) < 1e-9);
+  assert.strictEqual(layer.opacity, 1);
+});
+
+test('gaps between scenes render black', async () => {
+  const renderer = new VisualRenderer(320, 180);
+  const scenes = resolveScenes({
+    startTime: 0,
+    endTime: 10,
+    scenes: [
+      { start: 0, end: 2, layers: [{ mode: 'bars', visible: true, opacity: 1 }], background: { color: '#ff0000' } },
+      { start: 4, layers: [{ mode: 'bars', visible: true, opacity: 1 }] }
+    ]
+  });
+  const frames = [];
+  renderer.renderFrame = async (audioData, layers, background) => frames.push({ layers, background });
+
+  await renderer.renderTimeline(audio, scenes, {}, 1);
+  await renderer.renderTimeline(audio, scenes, {}, 3);
+  assert.strictEqual(frames[0].background.color, '#ff0000');
+  assert.deepStrictEqual(frames[1], { layers: [], background: { color: '#000000' } });
+});
+
+/**
+ * Rain drop positions of the layer with `id` after rendering `layers` once with `seed`
+ */
+async function dropsAfterRender(seed, layers, id) {
+  const renderer = new VisualRenderer(320, 180);
+  renderer.setSeed(seed);
+  await renderer.renderFrame(audio, layers, {}, null, {}, 0);
+  return renderer.layerCache.get(`mode_rain_${id}`).drops.map(drop => [drop.x, drop.y, drop.speed]);
+}
+
+test('the same seed renders the same random state', async () => {
+  const layers = [{ id: 'rain', mode: 'rain', visible: true, opacity: 1 }];
+  assert.deepStrictEqual(await dropsAfterRender(5, layers, 'rain'), await dropsAfterRender(5, layers, 'rain'));
+  assert.notDeepStrictEqual(await dropsAfterRender(6, layers, 'rain'), await dropsAfterRender(5, layers, 'rain'));
+});
+
+test('editing or adding other layers leaves a layer\'s random stream alone', async () => {
+  const rain = { id: 'rain', mode: 'rain', visible: true, opacity: 1 };
+  const snow = { id: 'snow', mode: 'snowfall', visible: true, opacity: 1 };
+  const original = await dropsAfterRender(9, [rain, snow], 'rain');
+
+  assert.deepStrictEqual(await dropsAfterRender(9, [rain, { ...snow, params: { count: 400 } }], 'rain'), original);
+  assert.deepStrictEqual(await dropsAfterRender(9, [{ id: 'bg', mode: 'smoke', visible: true, opacity: 1 }, rain, snow], 'rain'), original);
+  assert.deepStrictEqual(await dropsAfterRender(9, [snow, rain], 'rain'), original);
+});
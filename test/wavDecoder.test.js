@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { decodeWav, decodeSamples, WavStreamDecoder, WAVE_FORMAT_PCM, WAVE_FORMAT_IEEE_FLOAT } = require('../wavDecoder');
+
+/**
+ * A 44-byte-header WAV with `frames` sample frames of silence
+ */
+function wav({ audioFormat, bitsPerSample, channels = 1, blockAlign = channels * Math.ceil(bitsPerSample / 8), frames = 4 }) {
+  const header = Buffer.alloc(44);
+  const dataLength = frames * blockAlign;
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataLength, 4);
+  header.write('WAVEfmt ', 8, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(audioFormat, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(44100, 24);
+  header.writeUInt32LE(44100 * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataLength, 40);
+  return Buffer.concat([header, Buffer.alloc(dataLength)]);
+}
+
+test('16-bit float is reported as an unsupported encoding', () => {
+  const expected = /^Error: Unsupported WAV encoding: 16-bit float$/;
+  // With a consistent block align and with one sized for 32-bit floats
+  for (const blockAlign of [2, 4]) {
+    const buffer = wav({ audioFormat: WAVE_FORMAT_IEEE_FLOAT, bitsPerSample: 16, blockAlign });
+    assert.throws(() => decodeWav(buffer), expected);
+    assert.throws(() => new WavStreamDecoder().push(buffer), expected);
+  }
+});
+
+test('sample reads never start with an unsupported or inconsistent format', () => {
+  const buffer = Buffer.alloc(8);
+  assert.throws(
+    () => decodeSamples(buffer, { audioFormat: WAVE_FORMAT_IEEE_FLOAT, bitsPerSample: 16, channels: 1, sampleRate: 44100, blockAlign: 2 }, 0, 4),
+    /Unsupported WAV encoding: 16-bit float/
+  );
+  assert.throws(
+    () => decodeSamples(buffer, { audioFormat: WAVE_FORMAT_IEEE_FLOAT, bitsPerSample: 32, channels: 1, sampleRate: 44100, blockAlign: 2 }, 0, 4),
+    /block align 2 does not match/
+  );
+});
+
+test('supported encodings decode', () => {
+  for (const [audioFormat, bitsPerSample] of [[WAVE_FORMAT_PCM, 16], [WAVE_FORMAT_PCM, 24], [WAVE_FORMAT_IEEE_FLOAT, 32], [WAVE_FORMAT_IEEE_FLOAT, 64]]) {
+    const { channels } = decodeWav(wav({ audioFormat, bitsPerSample, channels: 2 }));
+    assert.strictEqual(channels.length, 2);
+    assert.strictEqual(channels[0].length, 4);
+  }
+});
@@ -1,8 +1,83 @@
-const { createCanvas, loadImage } = require('canvas');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const { createCanvas, loadImage, registerFont } = require('canvas');
+const { findCue } = require('./captions');
+const { applyKeyframes, setPath, ease } = require('./keyframes');
+const { findScenes } = require('./scenes');
+const { deriveRandom } = require('./random');
+const { mapModulation, combineModulation } = require('./modulation');
+const { envelopeCoefficient } = require('./dynamics');
+const { applyPostEffect, gaussianBlur } = require('./postEffects');
+const { getMode, resolveParams } = require('./modeRegistry');
+
+// node-canvas can't unregister a single font, so uploads are registered from a
+// content-addressed copy that outlives the upload, once per internal family and face
+const FONT_DIR = process.env.FONT_CACHE_DIR || path.join(__dirname, 'cache', 'fonts');
+const registeredFonts = new Set();
 
 /**
- * Complete visual mode renderer with all VIXA modes
- * This is a large file but includes all 22+ visual modes for CapCut-level features
+ * Rotate the hue of a #rrggbb color by `degrees`, keeping saturation and lightness
+ */
+function rotateHue(hex, degrees) {
+  const r = parseInt(hex.slice(1, 3), 16) / 255;
+  const g = parseInt(hex.slice(3, 5), 16) / 255;
+  const b = parseInt(hex.slice(5, 7), 16) / 255;
+  const max = Math.max(r, g, b), min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  const d = max - min;
+  if (d === 0) return hex; // Greys have no hue
+
+  const s = d / (1 - Math.abs(2 * l - 1));
+  let h = max === r ? ((g - b) / d) % 6 : max === g ? (b - r) / d + 2 : (r - g) / d + 4;
+  h = (((h * 60 + degrees) % 360) + 360) % 360;
+
+  const c = (1 - Math.abs(2 * l - 1)) * s;
+  const x = c * (1 - Math.abs(((h / 60) % 2) - 1));
+  const m = l - c / 2;
+  const [r1, g1, b1] = h < 60 ? [c, x, 0] : h < 120 ? [x, c, 0] : h < 180 ? [0, c, x]
+    : h < 240 ? [0, x, c] : h < 300 ? [x, 0, c] : [c, 0, x];
+  const toHex = (v) => Math.round((v + m) * 255).toString(16).padStart(2, '0');
+  return `#${toHex(r1)}${toHex(g1)}${toHex(b1)}`;
+}
+
+/**
+ * Where to draw an image to fit a w x h frame: 'contain', 'cover' or stretch
+ */
+function fitRect(img, w, h, fit) {
+  let width = w, height = h;
+  if (fit === 'contain' || fit === 'cover') {
+    const scale = (fit === 'contain' ? Math.min : Math.max)(w / img.width, h / img.height);
+    width = img.width * scale;
+    height = img.height * scale;
+  }
+  return { x: (w - width) / 2, y: (h - height) / 2, width, height };
+}
+
+// Layer `blend` values and the canvas composite operations that implement them
+const BLEND_MODES = {
+  normal: 'source-over',
+  add: 'lighter',
+  screen: 'screen',
+  multiply: 'multiply',
+  overlay: 'overlay',
+  darken: 'darken',
+  lighten: 'lighten',
+  difference: 'difference',
+  exclusion: 'exclusion',
+  'color-dodge': 'color-dodge',
+  'color-burn': 'color-burn',
+  'soft-light': 'soft-light',
+  'hard-light': 'hard-light',
+  hue: 'hue',
+  saturation: 'saturation',
+  color: 'color',
+  luminosity: 'luminosity'
+};
+
+/**
+ * Frame renderer: composites layers (visual modes from modeRegistry, text
+ * and captions), background, logo, scenes and post effects
  */
 class VisualRenderer {
   constructor(width, height) {
@@ -11,36 +86,563 @@ class VisualRenderer {
     this.canvas = createCanvas(width, height);
     this.ctx = this.canvas.getContext('2d');
     this.frameTime = 0; // Track time for animations
-    this.layerCache = new Map(); // Cache for stateful modes (rain, snow, etc.)
+    this.audioData = null; // Full frame data (beat, onsetStrength, bpm, ...) for modes
+    this.layerCache = new Map(); // Per-layer state: mode state, smoothing, transitions
+    this.captions = null; // Cues for captions layers, see setCaptions()
+    this.captionOffset = 0;
+    this.layerCanvases = []; // Offscreen canvases for compositing, reused across frames
+    this.layerDepth = 0; // How many of them are in use
+    this.matteCanvases = new Map(); // Renders of layers used as masks, by layer id
+    this.maskImages = {}; // Uploaded mask image paths by name, see setMaskImages()
+    this.fontFamilies = {}; // Uploaded font families by requested name, see registerFonts()
+    this.images = new Map(); // Loaded mask images by path
+    this.sceneCanvases = []; // Outgoing/incoming scene copies for transitions
+    this.seed = 0;
+    this.streams = new Map(); // Seeded random streams by key, see stream()
+    this.random = this.stream('frame'); // Stream of whatever is being drawn
+  }
+
+  /**
+   * Register uploaded TTF/OTF fonts ([{ path, family, weight, style }]) for text
+   * layers. node-canvas only picks fonts up for canvases created afterwards.
+   * Fonts are registered process-wide, so each family is registered under an
+   * internal name derived from its files' contents: jobs uploading different
+   * files as the same family can't pick up each other's, and identical uploads
+   * reuse the registration. Files are copied to FONT_DIR, so the uploads can
+   * be deleted afterwards. Returns { family: internalFamily } for setFontFamilies().
+   */
+  static async registerFonts(fonts = []) {
+    const faces = new Map(); // Requested family -> [{ file, hash, weight, style }]
+    for (const font of fonts) {
+      const data = await fs.readFile(font.path);
+      const hash = crypto.createHash('sha256').update(data).digest('hex');
+      const file = path.join(FONT_DIR, hash);
+      if (!await fs.pathExists(file)) await fs.outputFile(file, data);
+      if (!faces.has(font.family)) faces.set(font.family, []);
+      faces.get(font.family).push({ file, hash, weight: font.weight || 'normal', style: font.style || 'normal' });
+    }
+
+    const families = {};
+    for (const [family, list] of faces) {
+      const signature = list.map(({ hash, weight, style }) => `${hash} ${weight} ${style}`).sort().join('\n');
+      const internal = `vixa-${crypto.createHash('sha256').update(signature).digest('hex').slice(0, 16)}`;
+      families[family] = internal;
+      for (const { file, weight, style } of list) {
+        const key = JSON.stringify([internal, weight, style]);
+        if (registeredFonts.has(key)) continue;
+        registerFont(file, { family: internal, weight, style });
+        registeredFonts.add(key);
+        console.log(`🔤 Registered font "${family}" as ${internal} (${weight} ${style})`);
+      }
+    }
+    return families;
+  }
+
+  /**
+   * A cleared, full-frame offscreen canvas to draw one layer into. Calls nest
+   * (each acquire gets its own canvas) and must be paired with releaseLayerCanvas().
+   */
+  acquireLayerCanvas() {
+    if (!this.layerCanvases[this.layerDepth]) {
+      this.layerCanvases[this.layerDepth] = createCanvas(this.width, this.height);
+    }
+    const canvas = this.layerCanvases[this.layerDepth++];
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalAlpha = 1;
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.clearRect(0, 0, this.width, this.height);
+    return canvas;
+  }
+
+  releaseLayerCanvas() {
+    this.layerDepth--;
+  }
+
+  /**
+   * Every layer in a layer tree, groups before their children
+   */
+  static flattenLayers(layers = []) {
+    return layers.flatMap(layer => (layer.type === 'group'
+      ? [layer, ...VisualRenderer.flattenLayers(layer.layers)]
+      : [layer]));
   }
 
   pick(arr, i) {
     return arr[i % arr.length];
   }
 
+  /**
+   * Envelope that jumps to 1 on each beat and decays until the next one
+   */
+  beatPulse(audioData = this.audioData, decay = 6) {
+    if (!audioData || !audioData.bpm) return 0;
+    return Math.exp(-(audioData.beatPhase || 0) * decay);
+  }
+
+  /**
+   * Level (0-1) of a named frequency band (sub, bass, lowMid, mid, highMid,
+   * presence, brilliance or a custom band from the analysis config)
+   */
+  band(name, audioData = this.audioData) {
+    return (audioData && audioData.bands && audioData.bands[name]) || 0;
+  }
+
+  /**
+   * All band levels, lowest frequency band first
+   */
+  bandLevels(audioData = this.audioData) {
+    return audioData && audioData.bands ? Object.values(audioData.bands) : [];
+  }
+
+  /**
+   * Band level for row `row` of `rows`, with the lowest band on the bottom row
+   */
+  rowBandLevel(row, rows) {
+    const levels = this.bandLevels();
+    if (levels.length === 0) return 0;
+    return levels[Math.min(levels.length - 1, Math.floor(((rows - 1 - row) / rows) * levels.length))];
+  }
+
+  /**
+   * Layer colors after palette mapping. With `paletteMapping: 'pitch'` the
+   * palette's hues rotate around the color wheel with the harmony: C leaves
+   * the palette as is and each semitone turns it 30 degrees. The angle is the
+   * chroma-weighted circular mean, smoothed per layer so chords don't flicker.
+   * `key` is the layer's state key (see resolveLayer).
+   */
+  mapPalette(colors, layer, key, audioData = this.audioData) {
+    if (layer.paletteMapping !== 'pitch' || !audioData || !audioData.chroma) return colors;
+    
+    let x = 0, y = 0;
+    for (let p = 0; p < 12; p++) {
+      const angle = (p / 12) * Math.PI * 2;
+      x += audioData.chroma[p] * Math.cos(angle);
+      y += audioData.chroma[p] * Math.sin(angle);
+    }
+    
+    const cacheKey = `palette_hue_${key}`;
+    const state = this.layerCache.get(cacheKey) || { x: 1, y: 0 };
+    state.x = state.x * 0.85 + x * 0.15;
+    state.y = state.y * 0.85 + y * 0.15;
+    this.layerCache.set(cacheKey, state);
+    
+    const degrees = (Math.atan2(state.y, state.x) * 180) / Math.PI;
+    return colors.map(color => rotateHue(color, degrees));
+  }
+
+  /**
+   * Frame data a layer reacts to: its `audioSource` stem if the frame carries
+   * per-source data (RenderEngine adds `sources` when stems are uploaded)
+   */
+  getLayerAudio(audioData, layer) {
+    if (!layer.audioSource || !audioData.sources) return audioData;
+    return audioData.sources[layer.audioSource] || audioData;
+  }
+
+  /**
+   * Current value of a modulation source (see modulation.SOURCES)
+   */
+  modulationSource(source, audioData = this.audioData) {
+    const [feature, key] = source.split('.');
+    if (feature === 'beatPulse') return this.beatPulse(audioData);
+    if (feature === 'bands') return this.band(key, audioData);
+    const value = audioData[feature];
+    if (feature === 'chroma') return value ? value[key] : 0;
+    return typeof value === 'boolean' ? (value ? 1 : 0) : value || 0;
+  }
+
+  /**
+   * `target` (a layer, background or logo config) with its `modulations`
+   * applied for this frame. Smoothed bindings keep their envelope in the
+   * layer cache under `stateKey`.
+   */
+  applyModulations(target, audioData, stateKey) {
+    if (!target || !target.modulations || target.modulations.length === 0) return target;
+    
+    let modulated = target;
+    target.modulations.forEach((binding, index) => {
+      let value = mapModulation(this.modulationSource(binding.source, audioData), binding);
+      
+      const attack = binding.attack ?? binding.smoothing ?? 0;
+      const release = binding.release ?? binding.smoothing ?? 0;
+      if (attack > 0 || release > 0) {
+        const cacheKey = `modulation_${stateKey}_${index}`;
+        const state = this.layerCache.get(cacheKey);
+        const elapsed = state ? this.frameTime - state.time : 0;
+        if (elapsed > 0) {
+          const coeff = envelopeCoefficient(value > state.value ? attack : release, 1000 / elapsed);
+          value = value + (state.value - value) * coeff;
+        }
+        this.layerCache.set(cacheKey, { value, time: this.frameTime });
+      }
+      
+      const base = binding.target.split('.').reduce((obj, key) => (obj == null ? obj : obj[key]), modulated);
+      modulated = setPath(modulated, binding.target, combineModulation(base, value, binding.mode));
+    });
+    return modulated;
+  }
+
+  /**
+   * Place a layer's full-frame drawing with its `transform` and `clip`.
+   * transform: { x, y, scale, scaleX, scaleY, rotation, anchor: { x, y } } -
+   * the anchor point of the layer (normalized, default the center) lands at
+   * x/y (normalized), scaled and rotated (degrees) around it.
+   * clip: { x, y, width, height } - normalized crop region in layer space, so
+   * it moves with the transform. Call between ctx.save() and ctx.restore().
+   */
+  applyLayerTransform(layer) {
+    const ctx = this.ctx;
+    const w = this.width, h = this.height;
+    const t = layer.transform;
+    
+    if (t) {
+      const anchor = t.anchor || {};
+      const scale = t.scale ?? 1;
+      ctx.translate((t.x ?? 0.5) * w, (t.y ?? 0.5) * h);
+      if (t.rotation) ctx.rotate((t.rotation * Math.PI) / 180);
+      ctx.scale(t.scaleX ?? scale, t.scaleY ?? scale);
+      ctx.translate(-(anchor.x ?? 0.5) * w, -(anchor.y ?? 0.5) * h);
+    }
+    
+    if (layer.clip) {
+      const { x = 0, y = 0, width = 1, height = 1 } = layer.clip;
+      ctx.beginPath();
+      ctx.rect(x * w, y * h, width * w, height * h);
+      ctx.clip();
+    }
+  }
+
+  /**
+   * Render the frame at `currentTime` from a scene timeline (see scenes.js):
+   * the active scene, or during a transition the outgoing and incoming scenes
+   * blended together. Gaps between scenes render black.
+   */
+  async renderTimeline(audioData, scenes, palettes, currentTime) {
+    // Each scene keeps its own layer state, even for layers at the same position
+    const renderScene = (scene) => (scene
+      ? this.renderFrame(audioData, scene.layers, scene.background || {}, scene.logo, palettes, currentTime,
+        scene.postEffects, `scene${scenes.indexOf(scene)}/`)
+      : this.renderFrame(audioData, [], { color: '#000000' }, null, palettes, currentTime));
+    
+    const { scene, index, previous, progress } = findScenes(scenes, currentTime);
+    if (progress === undefined) return renderScene(scene);
+    
+    // Render both scenes, keeping copies to blend from
+    const [from, to] = [0, 1].map(i => {
+      if (!this.sceneCanvases[i]) this.sceneCanvases[i] = createCanvas(this.width, this.height);
+      return this.sceneCanvases[i];
+    });
+    await renderScene(previous);
+    from.getContext('2d').drawImage(this.canvas, 0, 0);
+    await renderScene(scene);
+    to.getContext('2d').drawImage(this.canvas, 0, 0);
+    
+    this.drawTransition(from, to, scene.transition, progress, audioData, `scene_${index}`);
+    return this.canvas;
+  }
+
+  /**
+   * Draw a transition from the `from` canvas to the `to` canvas at `progress` (0-1)
+   */
+  drawTransition(from, to, transition, progress, audioData, stateKey) {
+    const ctx = this.ctx;
+    const w = this.width, h = this.height;
+    const t = ease(transition.easing, Math.max(0, Math.min(1, progress)));
+    
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalAlpha = 1;
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, w, h);
+    
+    switch (transition.type) {
+      case 'crossfade': {
+        ctx.drawImage(from, 0, 0);
+        ctx.globalAlpha = t;
+        ctx.drawImage(to, 0, 0);
+        break;
+      }
+      case 'wipe': {
+        // The incoming scene is revealed moving in `direction`
+        const rects = {
+          right: [0, 0, w * t, h],
+          left: [w * (1 - t), 0, w * t, h],
+          down: [0, 0, w, h * t],
+          up: [0, h * (1 - t), w, h * t]
+        };
+        ctx.drawImage(from, 0, 0);
+        ctx.beginPath();
+        ctx.rect(...rects[transition.direction || 'right']);
+        ctx.clip();
+        ctx.drawImage(to, 0, 0);
+        break;
+      }
+      case 'zoom': {
+        // Fly into the outgoing scene while the incoming one grows into place
+        const drawScaled = (canvas, scale, alpha) => {
+          ctx.globalAlpha = alpha;
+          ctx.drawImage(canvas, (w - w * scale) / 2, (h - h * scale) / 2, w * scale, h * scale);
+        };
+        drawScaled(from, 1 + t * 2, 1 - t);
+        drawScaled(to, 0.5 + t * 0.5, t);
+        break;
+      }
+      case 'glitch': {
+        // Hard cut halfway, with displaced slices of both scenes around it
+        const intensity = 1 - Math.abs(progress * 2 - 1);
+        const random = this.stream(stateKey);
+        ctx.drawImage(progress < 0.5 ? from : to, 0, 0);
+        const slices = Math.round(4 + intensity * 12);
+        for (let i = 0; i < slices; i++) {
+          const source = random() < 0.5 ? from : to;
+          const sy = random() * h;
+          const sh = Math.max(2, random() * h * 0.08);
+          const dx = (random() - 0.5) * w * 0.15 * intensity;
+          ctx.globalAlpha = 0.6 + random() * 0.4;
+          ctx.drawImage(source, 0, sy, w, sh, dx, sy, w, sh);
+        }
+        break;
+      }
+      case 'flash': {
+        // Cut on the first beat in the transition window, then flash and fade.
+        // Without a beat the scene changes plainly when the window ends.
+        const now = this.frameTime / 1000;
+        if (!this.layerCache.has(stateKey)) this.layerCache.set(stateKey, { cutTime: Infinity });
+        const state = this.layerCache.get(stateKey);
+        if (state.cutTime === Infinity && audioData.beat) state.cutTime = now;
+        const sinceCut = now - state.cutTime;
+        ctx.drawImage(sinceCut >= 0 ? to : from, 0, 0);
+        if (sinceCut >= 0) {
+          ctx.globalAlpha = Math.max(0, 1 - sinceCut / (transition.flash ?? 0.3));
+          ctx.fillStyle = transition.color || '#ffffff';
+          ctx.fillRect(0, 0, w, h);
+        }
+        break;
+      }
+      default:
+        ctx.drawImage(to, 0, 0);
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Draw `layers` bottom to top onto `ctx`, each from its own offscreen canvas
+   * with its opacity, blend mode and mask. Groups recurse through here.
+   * `frame` carries { audioData, palettes, currentTime, logo, scope }; `path`
+   * keys per-layer state for layers without an id (e.g. "scene1/2/0" inside
+   * a group), starting from the scene's `scope`.
+   */
+  async compositeLayers(layers, ctx, frame, path = frame.scope || '') {
+    const entries = layers.map((layer, index) => this.resolveLayer(layer, `${path}${index}`, frame));
+    
+    // Layers used as track mattes are drawn once per frame, whether visible or not
+    const matteIds = new Set(entries.filter(e => e.layer.mask && e.layer.mask.layer !== undefined).map(e => e.layer.mask.layer));
+    const mattes = new Map();
+    for (const entry of entries) {
+      if (!matteIds.has(entry.layer.id)) continue;
+      if (!this.matteCanvases.has(entry.layer.id)) {
+        this.matteCanvases.set(entry.layer.id, createCanvas(this.width, this.height));
+      }
+      const matte = this.matteCanvases.get(entry.layer.id);
+      matte.getContext('2d').clearRect(0, 0, this.width, this.height);
+      await this.drawLayer(entry, matte, frame);
+      mattes.set(entry.layer.id, matte);
+    }
+    
+    for (const entry of entries) {
+      const layer = entry.layer;
+      if (!layer.visible || layer.opacity <= 0) continue;
+      
+      // Draw the layer on its own canvas, then blend it onto the target in one go
+      let layerCanvas = mattes.get(layer.id);
+      if (!layerCanvas) {
+        layerCanvas = this.acquireLayerCanvas();
+        await this.drawLayer(entry, layerCanvas, frame);
+        if (layer.mask) await this.applyMask(layerCanvas, layer.mask, mattes, frame.logo);
+      }
+
+      ctx.globalAlpha = layer.opacity;
+      ctx.globalCompositeOperation = BLEND_MODES[layer.blend] || 'source-over';
+      ctx.drawImage(layerCanvas, 0, 0);
+      ctx.globalCompositeOperation = 'source-over';
+      ctx.globalAlpha = 1;
+      if (!mattes.has(layer.id)) this.releaseLayerCanvas();
+    }
+  }
+
+  /**
+   * A layer's settings, audio and colors for this frame (keyframes and
+   * modulations applied). Layers may follow their own stem; background and
+   * logo follow the main frame. The returned `key` names the layer's state:
+   * its id within the scene, else its position (`path`).
+   */
+  resolveLayer(baseLayer, path, { audioData, palettes, currentTime, scope = '' }) {
+    const key = baseLayer.id !== undefined ? `${scope}${baseLayer.id}` : path;
+    const keyframed = applyKeyframes(baseLayer, currentTime);
+    const audio = this.getLayerAudio(audioData, keyframed);
+    const layer = this.applyModulations(keyframed, audio, key);
+    const colors = this.mapPalette(palettes[layer.paletteId] || ['#10B981', '#22D3EE', '#60A5FA'], layer, key, audio);
+    return { layer, audio, colors, key };
+  }
+
+  /**
+   * Draw a resolved layer (transform, clip, mirror, then its mode or, for a
+   * group, its composited children) onto `canvas`
+   */
+  async drawLayer({ layer, audio, colors, key }, canvas, frame) {
+    const mainCtx = this.ctx;
+    const mainRandom = this.random;
+    const w = this.width, h = this.height;
+    this.ctx = canvas.getContext('2d');
+    this.audioData = audio;
+    this.random = this.stream(`layer_${key}`);
+    this.ctx.save();
+    this.applyLayerTransform(layer);
+
+    // Apply mirror transformations if enabled
+    if (layer.mirrored && layer.mirroredVertical) {
+      this.ctx.scale(-1, -1);
+      this.ctx.translate(-w, -h);
+    } else if (layer.mirrored) {
+      this.ctx.scale(-1, 1);
+      this.ctx.translate(-w, 0);
+    } else if (layer.mirroredVertical) {
+      this.ctx.scale(1, -1);
+      this.ctx.translate(0, -h);
+    }
+
+    if (layer.type === 'group') {
+      await this.compositeLayers(layer.layers || [], this.ctx, frame, `${key}/`);
+    } else {
+      this.renderVisualMode(layer, key, audio, colors);
+    }
+    this.ctx.restore();
+    this.ctx = mainCtx;
+    this.random = mainRandom;
+  }
+
+  /**
+   * Keep only the parts of `canvas` inside a mask: another layer's render
+   * (`layer`: its id), an uploaded mask image (`image`) or the logo (`logo: true`).
+   * `mode` 'alpha' uses the source's opacity, 'luminance' its brightness;
+   * `invert` flips it and `feather` (px at 1080p) softens its edges.
+   */
+  async applyMask(canvas, mask, mattes, logo) {
+    const source = this.acquireLayerCanvas();
+    const sctx = source.getContext('2d');
+    try {
+      if (mask.layer !== undefined) {
+        sctx.drawImage(mattes.get(mask.layer), 0, 0);
+      } else if (mask.image) {
+        const img = await this.getImage(this.maskImages[mask.image]);
+        const { x, y, width, height } = fitRect(img, this.width, this.height, mask.fit);
+        sctx.drawImage(img, x, y, width, height);
+      } else if (mask.logo && logo && logo.src) {
+        const { x, y, size } = this.logoRect(logo);
+        sctx.drawImage(await this.getImage(logo.src), x, y, size, size);
+      }
+      
+      const feather = (mask.feather || 0) * (this.height / 1080);
+      if (mask.mode === 'luminance' || mask.invert || feather > 0) {
+        const image = sctx.getImageData(0, 0, this.width, this.height);
+        const data = image.data;
+        for (let i = 0; i < data.length; i += 4) {
+          let alpha = data[i + 3];
+          if (mask.mode === 'luminance') {
+            alpha = ((0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2]) / 255) * alpha;
+          }
+          data[i + 3] = mask.invert ? 255 - alpha : alpha;
+        }
+        gaussianBlur(data, this.width, this.height, feather);
+        sctx.putImageData(image, 0, 0);
+      }
+      
+      const ctx = canvas.getContext('2d');
+      ctx.globalCompositeOperation = 'destination-in';
+      ctx.drawImage(source, 0, 0);
+      ctx.globalCompositeOperation = 'source-over';
+    } catch (err) {
+      console.error('Mask error:', err.message);
+    } finally {
+      this.releaseLayerCanvas();
+    }
+  }
+
+  /**
+   * Load an image once and reuse it for later frames
+   */
+  async getImage(src) {
+    if (!this.images.has(src)) this.images.set(src, await loadImage(src));
+    return this.images.get(src);
+  }
+
+  /**
+   * Seed every random stream of this render
+   */
+  setSeed(seed) {
+    this.seed = seed;
+    this.streams.clear();
+    this.random = this.stream('frame');
+  }
+
+  /**
+   * The seeded random stream for `key` (a layer, effect or transition)
+   */
+  stream(key) {
+    if (!this.streams.has(key)) this.streams.set(key, deriveRandom(this.seed, key));
+    return this.streams.get(key);
+  }
+
+  setMaskImages(images) {
+    this.maskImages = images || {};
+  }
+
+  setFontFamilies(families) {
+    this.fontFamilies = families || {};
+  }
+
+  /**
+   * Logo position and size before shake
+   */
+  logoRect(logo) {
+    const w = this.width, h = this.height;
+    const scale = Math.max(0.1, Math.min(2, logo.scale || 1));
+    const size = Math.min(w, h) * 0.25 * scale;
+    return { x: (logo.x || 0.5) * (w - size), y: (logo.y || 0.5) * (h - size), size };
+  }
+
   /**
    * Calculate shake offset based on audio data (from VIXA)
    */
-  calculateShake(audioData, intensity, time) {
+  calculateShake(audioData, intensity, time, random = this.random) {
     if (intensity === 0) return { x: 0, y: 0 };
     
-    const baseShake = audioData.rms * intensity * 10;
-    const freqVariation = audioData.freq[Math.floor(Math.random() * audioData.freq.length)] / 255;
+    const baseShake = audioData.rms * intensity * 10 * (1 + this.beatPulse(audioData));
+    const freqVariation = audioData.freq[Math.floor(random() * audioData.freq.length)] / 255;
     const timeVariation = Math.sin(time * 0.01) * 0.3;
     
-    const shakeX = (Math.random() - 0.5) * baseShake + freqVariation * 2 + timeVariation;
-    const shakeY = (Math.random() - 0.5) * baseShake + freqVariation * 2 + timeVariation;
+    const shakeX = (random() - 0.5) * baseShake + freqVariation * 2 + timeVariation;
+    const shakeY = (random() - 0.5) * baseShake + freqVariation * 2 + timeVariation;
     
     return { x: shakeX, y: shakeY };
   }
 
-  async renderFrame(audioData, layers, background, logo, palettes, currentTime) {
+  /**
+   * Draw one layer stack. `scope` prefixes its layer, background, logo and
+   * effect state keys so scenes don't share state (see renderTimeline).
+   */
+  async renderFrame(audioData, layers, background, logo, palettes, currentTime, postEffects = [], scope = '') {
     const ctx = this.ctx;
     const w = this.width;
     const h = this.height;
-    const { freq, wave, rms } = audioData;
-    
     this.frameTime = currentTime * 1000; // Store for animations
+    this.audioData = audioData;
+    
+    // Keyframed and audio-modulated properties take their value for this frame
+    background = this.applyModulations(applyKeyframes(background, currentTime), audioData, `${scope}background`);
+    logo = this.applyModulations(applyKeyframes(logo, currentTime), audioData, `${scope}logo`);
 
     // Clear canvas
     ctx.clearRect(0, 0, w, h);
@@ -52,7 +654,7 @@ class VisualRenderer {
     
     // Apply shake effect to background if enabled
     if (background.shakeEnabled && background.shakeIntensity > 0) {
-      const shake = this.calculateShake(audioData, background.shakeIntensity, currentTime * 1000);
+      const shake = this.calculateShake(audioData, background.shakeIntensity, currentTime * 1000, this.stream(`${scope}background`));
       ctx.save();
       ctx.translate(shake.x, shake.y);
       ctx.fillRect(0, 0, w, h);
@@ -65,22 +667,11 @@ class VisualRenderer {
     if (background.src) {
       try {
         const img = await loadImage(background.src);
-        let dw = w, dh = h;
-        if (background.fit === 'contain') {
-          const scale = Math.min(w / img.width, h / img.height);
-          dw = img.width * scale; dh = img.height * scale;
-        } else if (background.fit === 'cover') {
-          const scale = Math.max(w / img.width, h / img.height);
-          dw = img.width * scale; dh = img.height * scale;
-        } else {
-          // stretch
-          dw = w; dh = h;
-        }
-        let dx = (w - dw) / 2, dy = (h - dh) / 2;
+        const { x: dx, y: dy, width: dw, height: dh } = fitRect(img, w, h, background.fit);
         
         // Apply shake effect to background image if enabled
         if (background.shakeEnabled && background.shakeIntensity > 0) {
-          const shake = this.calculateShake(audioData, background.shakeIntensity, currentTime * 1000);
+          const shake = this.calculateShake(audioData, background.shakeIntensity, currentTime * 1000, this.stream(`${scope}background`));
           ctx.save();
           ctx.translate(shake.x, shake.y);
           ctx.globalAlpha = background.opacity || 1;
@@ -97,59 +688,23 @@ class VisualRenderer {
     }
 
     // 2. Render layers
-    for (const layer of layers) {
-      if (!layer.visible || layer.opacity <= 0) continue;
-      
-      const colors = palettes[layer.paletteId] || ['#10B981', '#22D3EE', '#60A5FA'];
-      ctx.globalAlpha = layer.opacity;
-
-      switch (layer.blend) {
-        case 'screen': ctx.globalCompositeOperation = 'screen'; break;
-        case 'multiply': ctx.globalCompositeOperation = 'multiply'; break;
-        case 'overlay': ctx.globalCompositeOperation = 'overlay'; break;
-        case 'add': ctx.globalCompositeOperation = 'lighter'; break;
-        default: ctx.globalCompositeOperation = 'source-over'; break;
-      }
+    await this.compositeLayers(layers, ctx, { audioData, palettes, currentTime, logo, scope });
+    this.audioData = audioData;
 
-      // Apply mirror transformations if enabled
-      if (layer.mirrored || layer.mirroredVertical) {
-        ctx.save();
-        if (layer.mirrored && layer.mirroredVertical) {
-          ctx.scale(-1, -1);
-          ctx.translate(-w, -h);
-        } else if (layer.mirrored) {
-          ctx.scale(-1, 1);
-          ctx.translate(-w, 0);
-        } else if (layer.mirroredVertical) {
-          ctx.scale(1, -1);
-          ctx.translate(0, -h);
-        }
-      }
+    // 3. Post-processing on the composited layers (the logo stays crisp)
+    this.applyPostEffects(postEffects, audioData, currentTime, scope);
 
-      this.renderVisualMode(layer, freq, wave, rms, colors);
-      
-      // Restore transform if mirrored
-      if (layer.mirrored || layer.mirroredVertical) {
-        ctx.restore();
-      }
-      
-      ctx.globalCompositeOperation = 'source-over';
-      ctx.globalAlpha = 1;
-    }
-
-    // 3. Logo overlay with shake effect (from VIXA v3)
+    // 4. Logo overlay with shake effect (from VIXA v3)
     if (logo && logo.src) {
       try {
         const img = await loadImage(logo.src);
-        const scale = Math.max(0.1, Math.min(2, logo.scale || 1));
-        const iw = Math.min(w, h) * 0.25 * scale;
-        const ih = iw;
-        let x = (logo.x || 0.5) * (w - iw);
-        let y = (logo.y || 0.5) * (h - ih);
+        const rect = this.logoRect(logo);
+        const iw = rect.size, ih = rect.size;
+        let { x, y } = rect;
         
         // Apply shake effect to logo if enabled
         if (logo.shakeEnabled && logo.shakeIntensity > 0) {
-          const shake = this.calculateShake(audioData, logo.shakeIntensity, currentTime * 1000);
+          const shake = this.calculateShake(audioData, logo.shakeIntensity, currentTime * 1000, this.stream(`${scope}logo`));
           x += shake.x;
           y += shake.y;
         }
@@ -166,805 +721,223 @@ class VisualRenderer {
     return this.canvas;
   }
 
-  renderVisualMode(layer, freq, wave, rms, colors) {
-    const mode = layer.mode;
-    
-    // Route to specific render function
-    const renderMap = {
-      'bars': () => this.renderBars(freq, colors),
-      'waveform': () => this.renderWaveform(wave, colors),
-      'radial': () => this.renderRadial(freq, colors),
-      'mirror-eq': () => this.renderMirrorEq(freq, colors),
-      'peak-bars': () => this.renderPeakBars(freq, colors),
-      'sparkline': () => this.renderSparkline(wave, colors, layer.opacity),
-      'rings': () => this.renderRings(freq, colors),
-      'lissajous': () => this.renderLissajous(wave, colors, layer.opacity),
-      'snake': () => this.renderSnake(freq, wave, rms, colors, layer),
-      'grid': () => this.renderGrid(freq, rms, colors, layer),
-      'radar': () => this.renderRadar(wave, colors),
-      'city-eq': () => this.renderCityEq(freq, colors),
-      'led-matrix': () => this.renderLedMatrix(freq, colors),
-      'blob': () => this.renderBlob(freq, colors, layer.opacity),
-      'smoke': () => this.renderSmokeAdvanced(freq, colors),
-      'spiral': () => this.renderSpiral(freq, colors),
-      'geometric': () => this.renderGeometricShapes(freq, colors, rms),
-      'collage': () => this.renderSpinningCubes(colors),
-      'mandala': () => this.renderMandala(colors),
-      'kaleidoscope': () => this.renderKaleidoscope(colors),
-      'space-tunnel': () => this.renderSpaceTunnel(colors, layer),
-      'warp-speed': () => this.renderWarpSpeed(colors, layer),
-      'rain': () => this.renderRain(colors, layer),
-      'snowfall': () => this.renderSnowfall(colors, layer)
-    };
-
-    const renderFn = renderMap[mode] || renderMap['bars'];
-    renderFn();
-  }
-
-  // All 22+ visual modes below...
-  
-  renderBars(freq, colors) {
-    const w = this.width, h = this.height;
-    const barCount = 96;
-    const binSize = Math.floor(freq.length / barCount) || 1;
-    const barWidth = w / barCount;
-
-    for (let i = 0; i < barCount; i++) {
-      let sum = 0;
-      for (let j = 0; j < binSize; j++) sum += freq[i * binSize + j] || 0;
-      const v = sum / (binSize * 255);
-      const barH = v * (h * 0.6);
-      this.ctx.fillStyle = this.pick(colors, 1 + (i % (colors.length - 1)));
-      this.ctx.fillRect(i * barWidth, h - barH, barWidth - 1, barH);
-    }
-  }
-
-  renderWaveform(wave, colors) {
-    const w = this.width, h = this.height;
-    this.ctx.lineWidth = 2;
-    this.ctx.strokeStyle = this.pick(colors, 2);
-    this.ctx.beginPath();
-    for (let x = 0; x < w; x++) {
-      const idx = Math.floor((x / w) * wave.length);
-      const y = ((wave[idx] - 128) / 128) * 0.4 * h + h * 0.5;
-      if (x === 0) this.ctx.moveTo(x, y);
-      else this.ctx.lineTo(x, y);
-    }
-    this.ctx.stroke();
-  }
-
-  renderRadial(freq, colors) {
-    const w = this.width, h = this.height;
-    const cx = w * 0.5, cy = h * 0.5;
-    const radius = Math.min(w, h) * 0.35;
-    const N = 120, step = Math.max(1, Math.floor(freq.length / N));
-    
-    for (let i = 0; i < N; i++) {
-      const v = (freq[i * step] ?? 0) / 255;
-      const a0 = (i / N) * Math.PI * 2;
-      const a1 = ((i + 1) / N) * Math.PI * 2;
-      this.ctx.beginPath();
-      this.ctx.moveTo(cx, cy);
-      this.ctx.fillStyle = this.pick(colors, 1 + (i % (colors.length - 1)));
-      this.ctx.arc(cx, cy, radius * (0.4 + v * 0.9), a0, a1);
-      this.ctx.closePath();
-      this.ctx.fill();
-    }
-  }
-
-  renderMirrorEq(freq, colors) {
-    const w = this.width, h = this.height;
-    const barCount = 64, binSize = Math.floor(freq.length / barCount) || 1;
-    const barWidth = (w / 2) / barCount;
-    
-    for (let i = 0; i < barCount; i++) {
-      let sum = 0;
-      for (let j = 0; j < binSize; j++) sum += freq[i * binSize + j] || 0;
-      const v = sum / (binSize * 255);
-      const barH = v * (h * 0.45);
-      this.ctx.fillStyle = this.pick(colors, 1 + (i % (colors.length - 1)));
-      this.ctx.fillRect((w * 0.5) - (i + 1) * barWidth, (h * 0.5) - barH, barWidth - 1, barH * 2);
-      this.ctx.fillRect((w * 0.5) + i * barWidth, (h * 0.5) - barH, barWidth - 1, barH * 2);
-    }
-  }
-
-  renderPeakBars(freq, colors) {
-    const w = this.width, h = this.height;
-    const barCount = 96, binSize = Math.floor(freq.length / barCount) || 1;
-    const barWidth = w / barCount;
-    
-    for (let i = 0; i < barCount; i++) {
-      let peak = 0;
-      for (let j = 0; j < binSize; j++) peak = Math.max(peak, freq[i * binSize + j] || 0);
-      const v = peak / 255;
-      const barH = v * (h * 0.6);
-      this.ctx.fillStyle = this.pick(colors, 1 + (i % (colors.length - 1)));
-      this.ctx.fillRect(i * barWidth, h - barH, barWidth - 1, barH);
-    }
-  }
-
-  renderSparkline(wave, colors, opacity) {
-    const w = this.width, h = this.height;
-    this.ctx.strokeStyle = this.pick(colors, 2);
-    this.ctx.lineWidth = 1.5;
-    const ww = Math.min(240, w * 0.3), hh = Math.min(80, h * 0.2);
-    this.ctx.strokeRect(12, 12, ww, hh);
-    this.ctx.beginPath();
-    for (let x = 0; x < ww; x++) {
-      const idx = Math.floor((x / ww) * wave.length);
-      const y = 12 + (hh / 2) + ((wave[idx] - 128) / 128) * (hh * 0.45);
-      if (x === 0) this.ctx.moveTo(12, y); else this.ctx.lineTo(12 + x, y);
-    }
-    this.ctx.stroke();
-  }
-
-  renderRings(freq, colors) {
-    const w = this.width, h = this.height;
-    const cx = w * 0.5, cy = h * 0.5;
-    this.ctx.lineWidth = 2;
-    const ringCount = 6;
-    
-    for (let i = 0; i < ringCount; i++) {
-      const idx = Math.floor((i / ringCount) * freq.length);
-      const v = (freq[idx] ?? 0) / 255;
-      this.ctx.strokeStyle = this.pick(colors, 1 + i);
-      this.ctx.beginPath();
-      this.ctx.arc(cx, cy, (Math.min(w, h) * 0.12) * (i + 1) * (0.8 + v * 0.6), 0, Math.PI * 2);
-      this.ctx.stroke();
-    }
-  }
-
-  renderLissajous(wave, colors, opacity) {
-    const w = this.width, h = this.height;
-    const cx = w * 0.5, cy = h * 0.5;
-    const scale = Math.min(w, h) * 0.35;
-    this.ctx.strokeStyle = this.pick(colors, 2);
-    this.ctx.globalAlpha = opacity * 0.85;
-    this.ctx.beginPath();
-    
-    const len = wave.length;
-    for (let i = 0; i < len; i++) {
-      const a = wave[i] - 128;
-      const b = wave[(i + (len >> 2)) % len] - 128;
-      const x = cx + (a / 128) * scale * 0.8;
-      const y = cy + (b / 128) * scale * 0.8;
-      if (i === 0) this.ctx.moveTo(x, y); else this.ctx.lineTo(x, y);
-    }
-    this.ctx.stroke();
-    this.ctx.globalAlpha = 1;
+  /**
+   * Run the postEffects chain over the canvas pixels. Effects can be keyframed
+   * and audio-modulated like layers (following the main audio).
+   */
+  applyPostEffects(effects, audioData, currentTime, scope = '') {
+    if (!effects || effects.length === 0) return;
+    
+    const image = this.ctx.getImageData(0, 0, this.width, this.height);
+    const unit = this.height / 1080;
+    effects.forEach((baseEffect, index) => {
+      const effect = this.applyModulations(applyKeyframes(baseEffect, currentTime), audioData, `${scope}post_${index}`);
+      applyPostEffect(image, effect, unit, this.stream(`${scope}post_${index}`));
+    });
+    this.ctx.putImageData(image, 0, 0);
   }
 
-  renderSnake(freq, wave, rms, colors, layer) {
-    const w = this.width, h = this.height;
-    const gridSize = 32;
-    const cols = Math.floor(w / gridSize), rows = Math.floor(h / gridSize);
-    const time = this.frameTime * 0.001;
-    
-    // Grid lines
-    this.ctx.strokeStyle = this.pick(colors, 0);
-    this.ctx.globalAlpha = 0.15;
-    this.ctx.lineWidth = 1;
-    for (let x = 0; x <= cols; x++) {
-      this.ctx.beginPath();
-      this.ctx.moveTo(x * gridSize, 0);
-      this.ctx.lineTo(x * gridSize, h);
-      this.ctx.stroke();
+  /**
+   * Draw a layer's mode from the registry (unknown modes draw bars), or its
+   * text/captions. `key` names the layer's mode state (see resolveLayer).
+   */
+  renderVisualMode(layer, key, audio, colors) {
+    if (layer.type === 'text') {
+      this.renderText(layer, colors, audio.rms);
+      return;
     }
-    for (let y = 0; y <= rows; y++) {
-      this.ctx.beginPath();
-      this.ctx.moveTo(0, y * gridSize);
-      this.ctx.lineTo(w, y * gridSize);
-      this.ctx.stroke();
+    if (layer.type === 'captions') {
+      this.renderCaptions(layer, colors, audio.rms);
+      return;
     }
     
-    // Light up squares
-    const maxActive = Math.min(50, Math.floor(rms * cols * rows * 0.4));
-    for (let i = 0; i < maxActive; i++) {
-      const col = Math.floor(Math.random() * cols);
-      const row = Math.floor(Math.random() * rows);
-      const freqIndex = Math.floor(((row * cols + col) / (cols * rows)) * freq.length);
-      const intensity = (freq[freqIndex] ?? 0) / 255;
-      
-      if (intensity > 0.05 || (rms > 0.1 && Math.random() < 0.3)) {
-        const x = col * gridSize, y = row * gridSize;
-        const size = gridSize * (0.7 + intensity * 0.3);
-        const offset = (gridSize - size) / 2;
-        const colorIndex = 1 + ((col + row + Math.floor(intensity * 10)) % (colors.length - 1));
-        this.ctx.fillStyle = this.pick(colors, colorIndex);
-        this.ctx.globalAlpha = layer.opacity * (0.6 + intensity * 0.4);
-        this.ctx.fillRect(x + offset, y + offset, size, size);
-      }
-    }
-    this.ctx.globalAlpha = 1;
-  }
-
-  renderGrid(freq, rms, colors, layer) {
-    const w = this.width, h = this.height;
-    const gridSize = 24;
-    const cols = Math.floor(w / gridSize), rows = Math.floor(h / gridSize);
-    const time = this.frameTime * 0.001;
-    
-    for (let row = 0; row < rows; row++) {
-      for (let col = 0; col < cols; col++) {
-        const freqIndex = Math.floor(((row * cols + col) / (cols * rows)) * freq.length);
-        const intensity = (freq[freqIndex] ?? 0) / 255;
-        
-        const shouldFlash = rms > 0.15 && (
-          intensity > 0.2 || (rms > 0.3 && Math.random() < 0.4) || (time * 4 + row + col) % 1 < 0.1
-        );
-        
-        if (shouldFlash) {
-          const x = col * gridSize, y = row * gridSize;
-          const colorIndex = 1 + ((col + row + Math.floor(intensity * 5)) % (colors.length - 1));
-          this.ctx.fillStyle = this.pick(colors, colorIndex);
-          this.ctx.globalAlpha = layer.opacity * (0.8 + intensity * 0.2);
-          this.ctx.fillRect(x, y, gridSize, gridSize);
-        }
-      }
-    }
-    this.ctx.globalAlpha = 1;
-  }
-
-  renderRadar(wave, colors) {
-    const w = this.width, h = this.height;
-    const cx = w * 0.5, cy = h * 0.5, radius = Math.min(w, h) * 0.45;
-    this.ctx.strokeStyle = this.pick(colors, 3);
-    this.ctx.lineWidth = 2;
-    this.ctx.beginPath();
-    this.ctx.arc(cx, cy, radius, 0, Math.PI * 2);
-    this.ctx.stroke();
-    
-    const time = this.frameTime * 0.001;
-    const angle = (time % (Math.PI * 2));
-    const sweep = Math.PI / 12;
-    
-    this.ctx.beginPath();
-    this.ctx.moveTo(cx, cy);
-    this.ctx.arc(cx, cy, radius, angle - sweep, angle + sweep);
-    this.ctx.closePath();
-    this.ctx.fillStyle = this.pick(colors, 3);
-    this.ctx.globalAlpha = 0.3;
-    this.ctx.fill();
-    this.ctx.globalAlpha = 1;
-  }
-
-  renderCityEq(freq, colors) {
-    const w = this.width, h = this.height;
-    const N = 72, step = Math.floor(freq.length / N) || 1, colW = w / N;
-    
-    for (let i = 0; i < N; i++) {
-      let sum = 0;
-      for (let j = 0; j < step; j++) sum += freq[i * step + j] || 0;
-      const v = sum / (step * 255);
-      const hgt = v * (h * 0.8);
-      const bw = Math.max(2, colW * 0.6);
-      const x = i * colW + (colW - bw) / 2;
-      this.ctx.fillStyle = this.pick(colors, 1 + (i % (colors.length - 1)));
-      this.ctx.fillRect(x, h - hgt, bw, hgt);
-    }
-  }
-
-  renderLedMatrix(freq, colors) {
-    const w = this.width, h = this.height;
-    const cols = 64, rows = 36;
-    const cw = w / cols, rh = h / rows;
-    
-    for (let y = 0; y < rows; y++) {
-      for (let x = 0; x < cols; x++) {
-        const idx = Math.floor(((y * cols + x) / (cols * rows)) * freq.length);
-        const v = (freq[idx] ?? 0) / 255;
-        if (v < 0.1) continue;
-        this.ctx.fillStyle = this.pick(colors, 1 + ((x + y) % (colors.length - 1)));
-        const s = Math.min(cw, rh) * v * 0.9;
-        this.ctx.beginPath();
-        this.ctx.arc(x * cw + cw / 2, y * rh + rh / 2, s / 2, 0, Math.PI * 2);
-        this.ctx.fill();
-      }
+    const mode = getMode(layer.mode) || getMode('bars');
+    const frame = this.modeFrame(audio, colors);
+    const params = resolveParams(mode, layer.params);
+    
+    // Per-layer state lives as long as the renderer; a new mode starts fresh
+    const stateKey = `mode_${mode.id}_${key}`;
+    if (!this.layerCache.has(stateKey)) {
+      const state = {};
+      if (mode.init) mode.init(state, frame, params);
+      this.layerCache.set(stateKey, state);
     }
+    mode.render(this.ctx, frame, params, this.layerCache.get(stateKey));
   }
 
-  renderBlob(freq, colors, opacity) {
-    const w = this.width, h = this.height;
-    const cx = w * 0.5, cy = h * 0.5;
-    const base = Math.min(w, h) * 0.28;
-    this.ctx.fillStyle = this.pick(colors, 2);
-    this.ctx.globalAlpha = opacity * 0.75;
-    this.ctx.beginPath();
-    const N = 180, step = Math.floor(freq.length / N) || 1;
-    
-    for (let i = 0; i <= N; i++) {
-      const v = (freq[i * step] ?? 0) / 255;
-      const r = base * (1 + v * 0.6);
-      const a = (i / N) * Math.PI * 2;
-      const x = cx + Math.cos(a) * r;
-      const y = cy + Math.sin(a) * r;
-      if (i === 0) this.ctx.moveTo(x, y); else this.ctx.lineTo(x, y);
-    }
-    this.ctx.closePath();
-    this.ctx.fill();
-    this.ctx.globalAlpha = 1;
+  /**
+   * What a mode gets to draw one frame: output size, time in seconds, the
+   * layer's audio and colors, its seeded random stream and audio helpers
+   */
+  modeFrame(audio, colors) {
+    return {
+      width: this.width,
+      height: this.height,
+      time: this.frameTime * 0.001,
+      audio,
+      colors,
+      random: this.random,
+      pick: this.pick,
+      beatPulse: (decay) => this.beatPulse(audio, decay),
+      band: (name) => this.band(name, audio),
+      bandLevels: () => this.bandLevels(audio),
+      rowBandLevel: (row, rows) => this.rowBandLevel(row, rows)
+    };
   }
 
-  renderSmokeAdvanced(freq, colors) {
-    const w = this.width, h = this.height;
+  /**
+   * Font, alignment and shadow (or RMS glow) shared by text and caption layers.
+   * Sizes are for 1080p and scale with the output height. Call inside
+   * ctx.save()/restore(); returns the fill color and metrics for layout.
+   */
+  applyTextStyle(layer, colors, rms, defaultSize = 72) {
     const ctx = this.ctx;
-    const time = this.frameTime * 0.001;
-    const cacheKey = 'smoke_offscreen';
-
-    // Audio reactivity
-    const bass = (freq[2] || 0) / 255;
-    const mids = (freq[32] || 0) / 255;
-    const highs = (freq[96] || 0) / 255;
-
-    // Two palette colors to blend smoke between
-    const c1Hex = this.pick(colors, 1);
-    const c2Hex = this.pick(colors, 3);
-    const c1r = parseInt(c1Hex.slice(1, 3), 16), c1g = parseInt(c1Hex.slice(3, 5), 16), c1b = parseInt(c1Hex.slice(5, 7), 16);
-    const c2r = parseInt(c2Hex.slice(1, 3), 16), c2g = parseInt(c2Hex.slice(3, 5), 16), c2b = parseInt(c2Hex.slice(5, 7), 16);
-
-    // Maintain offscreen cache
-    if (!this.layerCache.has(cacheKey)) {
-      const scaleDown = 4; // render at quarter res for performance
-      const ow = Math.max(160, Math.floor(w / scaleDown));
-      const oh = Math.max(90, Math.floor(h / scaleDown));
-      const off = createCanvas(ow, oh);
-      const octx = off.getContext('2d');
-      this.layerCache.set(cacheKey, { off, octx, frame: 0, ow, oh });
+    const unit = this.height / 1080;
+    const fill = layer.color === 'palette' || !layer.color
+      ? this.pick(colors, layer.paletteIndex ?? 1)
+      : layer.color;
+    const size = (layer.fontSize || defaultSize) * unit * (1 + (layer.beatScale || 0) * this.beatPulse());
+    const uploaded = layer.font && Object.prototype.hasOwnProperty.call(this.fontFamilies, layer.font);
+    const family = layer.font ? `"${uploaded ? this.fontFamilies[layer.font] : layer.font}", sans-serif` : 'sans-serif';
+    
+    ctx.font = `${layer.fontStyle || 'normal'} ${layer.fontWeight || 'normal'} ${size}px ${family}`;
+    ctx.textAlign = ['left', 'right', 'center'].includes(layer.align) ? layer.align : 'center';
+    ctx.textBaseline = 'middle';
+    ctx.lineJoin = 'round';
+    
+    // Glow with loudness takes over the shadow when enabled
+    const glow = (layer.rmsGlow || 0) * (rms || 0) * unit;
+    if (glow > 0) {
+      ctx.shadowColor = layer.glowColor || fill;
+      ctx.shadowBlur = glow;
+    } else if (layer.shadowColor) {
+      ctx.shadowColor = layer.shadowColor;
+      ctx.shadowBlur = (layer.shadowBlur || 0) * unit;
+      ctx.shadowOffsetX = (layer.shadowOffsetX ?? 4) * unit;
+      ctx.shadowOffsetY = (layer.shadowOffsetY ?? 4) * unit;
     }
-
-    const cache = this.layerCache.get(cacheKey);
-    cache.frame++;
-
-    // Compute parameters
-    const density = 0.55 + bass * 0.45;
-    const baseScale = 0.008 + mids * 0.004;
-    const flow = time * (0.5 + bass * 1.2);
-    const swirlX = 0.8 + highs * 1.2;
-    const swirlY = 0.6 + highs * 1.0;
-
-    const octx = cache.octx;
-    const ow = cache.ow;
-    const oh = cache.oh;
-
-    // Update offscreen pixels every 2 frames for performance
-    if ((cache.frame % 2) === 0) {
-      const imgData = octx.createImageData(ow, oh);
-      const data = imgData.data;
-
-      // Noise functions
-      const seed = Math.sin(time * 0.15) * 10000;
-      const hash = (x, y) => {
-        const s = Math.sin(x * 127.1 + y * 311.7 + seed) * 43758.5453;
-        return s - Math.floor(s);
-      };
-      const noise = (x, y) => {
-        const xi = Math.floor(x), yi = Math.floor(y);
-        const xf = x - xi, yf = y - yi;
-        const u = xf * xf * (3 - 2 * xf);
-        const v = yf * yf * (3 - 2 * yf);
-        const n00 = hash(xi, yi), n10 = hash(xi + 1, yi), n01 = hash(xi, yi + 1), n11 = hash(xi + 1, yi + 1);
-        const nx0 = n00 * (1 - u) + n10 * u;
-        const nx1 = n01 * (1 - u) + n11 * u;
-        return nx0 * (1 - v) + nx1 * v;
-      };
-      const fbm = (x, y) => {
-        let value = 0, amp = 0.5, f = 1.0;
-        for (let i = 0; i < 3; i++) {
-          value += amp * noise(x * f, y * f);
-          f *= 2.0;
-          amp *= 0.5;
-        }
-        return value;
-      };
-
-      let idx = 0;
-      for (let y = 0; y < oh; y++) {
-        const yy = (y + Math.cos((y + flow * 60) * 0.01) * (8 * swirlY));
-        for (let x = 0; x < ow; x++) {
-          const xx = (x + Math.sin((x - flow * 50) * 0.01) * (10 * swirlX));
-          const n = fbm(xx * baseScale, yy * baseScale);
-          const v = Math.pow(n, 1.35) * (0.7 + mids * 0.5);
-          const t = Math.min(1, Math.max(0, v));
-          const r = Math.floor(c1r * (1 - t) + c2r * t);
-          const g = Math.floor(c1g * (1 - t) + c2g * t);
-          const b = Math.floor(c1b * (1 - t) + c2b * t);
-          const a = Math.floor(255 * density);
-          data[idx++] = r; data[idx++] = g; data[idx++] = b; data[idx++] = a;
-        }
-      }
-      octx.putImageData(imgData, 0, 0);
-    }
-
-    // Draw scaled with high quality smoothing and blur
-    ctx.save();
-    ctx.imageSmoothingEnabled = true;
-    ctx.imageSmoothingQuality = 'high';
     
-    // Note: Canvas in Node.js doesn't support filter property, so we skip the blur
-    // The noise algorithm itself provides smooth edges
-    ctx.drawImage(cache.off, 0, 0, w, h);
-    
-    ctx.restore();
-    ctx.globalAlpha = 1;
+    return { fill, size, unit, lineHeight: size * (layer.lineHeight || 1.2) };
   }
 
-  renderSpiral(freq, colors) {
-    const w = this.width, h = this.height;
-    const cx = w * 0.5, cy = h * 0.5;
-    const maxRadius = Math.max(w, h) * 0.6;
-    const time = this.frameTime * 0.001;
-
-    this.ctx.lineWidth = 4;
-    for (let spiral = 0; spiral < 3; spiral++) {
-      this.ctx.strokeStyle = this.pick(colors, spiral % colors.length);
-      this.ctx.beginPath();
-      for (let t = 0; t < Math.PI * 12; t += 0.08) {
-        const radius = (t / (Math.PI * 12)) * maxRadius;
-        const angle = t + time * 2 + (spiral * Math.PI * 2) / 3;
-        const x = cx + Math.cos(angle) * radius;
-        const y = cy + Math.sin(angle) * radius;
-        if (t === 0) this.ctx.moveTo(x, y); else this.ctx.lineTo(x, y);
-      }
-      this.ctx.stroke();
+  /**
+   * Draw a run of text with the layer's optional stroke underneath the fill
+   */
+  drawText(layer, text, x, y, fill, unit) {
+    if (layer.strokeColor && layer.strokeWidth > 0) {
+      this.ctx.strokeStyle = layer.strokeColor;
+      this.ctx.lineWidth = layer.strokeWidth * unit;
+      this.ctx.strokeText(text, x, y);
     }
+    this.ctx.fillStyle = fill;
+    this.ctx.fillText(text, x, y);
   }
 
-  renderGeometricShapes(freq, colors, rms) {
-    const w = this.width, h = this.height;
-    const cx = w * 0.5, cy = h * 0.5;
-    const time = this.frameTime * 0.001;
+  /**
+   * Text/title layer; x/y are normalized like the logo position.
+   * `beatScale` grows the text on each beat, `rmsGlow` adds a glow with loudness.
+   */
+  renderText(layer, colors, rms) {
+    const text = layer.text == null ? '' : String(layer.text);
+    if (!text) return;
     
     this.ctx.save();
-    this.ctx.translate(cx, cy);
-    this.ctx.rotate(time * 0.5);
-    
-    const shapes = ['triangle', 'square', 'pentagon', 'hexagon', 'triangle', 'square'];
-    const maxRadius = Math.max(w, h) * 0.4;
-    
-    for (let layerNum = 0; layerNum < 3; layerNum++) {
-      for (let i = 0; i < 6; i++) {
-        const radius = (maxRadius / 3) * (layerNum + 1) + Math.sin(time * 2 + i + layerNum) * 30;
-        const angle = (i / 6) * Math.PI * 2 + time + layerNum * Math.PI / 3;
-        const x = Math.cos(angle) * (maxRadius * 0.7);
-        const y = Math.sin(angle) * (maxRadius * 0.7);
-        
-        this.ctx.fillStyle = this.pick(colors, (i + layerNum) % colors.length);
-        this.ctx.globalAlpha = 0.9 - layerNum * 0.2;
-        
-        this.ctx.save();
-        this.ctx.translate(x, y);
-        this.ctx.rotate(time * (1 + i * 0.5 + layerNum * 0.3));
-        this.ctx.beginPath();
-        
-        if (shapes[i] === 'triangle') {
-          this.ctx.moveTo(0, -radius);
-          this.ctx.lineTo(-radius * 0.866, radius * 0.5);
-          this.ctx.lineTo(radius * 0.866, radius * 0.5);
-        } else if (shapes[i] === 'square') {
-          this.ctx.rect(-radius * 0.7, -radius * 0.7, radius * 1.4, radius * 1.4);
-        } else if (shapes[i] === 'pentagon') {
-          for (let j = 0; j < 5; j++) {
-            const a = (j / 5) * Math.PI * 2 - Math.PI / 2;
-            const px = Math.cos(a) * radius, py = Math.sin(a) * radius;
-            if (j === 0) this.ctx.moveTo(px, py); else this.ctx.lineTo(px, py);
-          }
-        } else {
-          for (let j = 0; j < 6; j++) {
-            const a = (j / 6) * Math.PI * 2 - Math.PI / 2;
-            const px = Math.cos(a) * radius, py = Math.sin(a) * radius;
-            if (j === 0) this.ctx.moveTo(px, py); else this.ctx.lineTo(px, py);
-          }
-        }
-        
-        this.ctx.closePath();
-        this.ctx.fill();
-        this.ctx.restore();
-      }
-    }
+    const { fill, unit, lineHeight } = this.applyTextStyle(layer, colors, rms);
+    const lines = text.split('\n');
+    const x = (layer.x ?? 0.5) * this.width;
+    const y = (layer.y ?? 0.5) * this.height - ((lines.length - 1) * lineHeight) / 2;
+    
+    lines.forEach((line, i) => this.drawText(layer, line, x, y + i * lineHeight, fill, unit));
     this.ctx.restore();
-    this.ctx.globalAlpha = 1;
   }
 
-  renderSpinningCubes(colors) {
-    const w = this.width, h = this.height;
-    const time = this.frameTime * 0.001;
-    
-    const positions = [
-      { x: w * 0.3, y: h * 0.3 },
-      { x: w * 0.7, y: h * 0.3 },
-      { x: w * 0.3, y: h * 0.7 },
-      { x: w * 0.7, y: h * 0.7 }
-    ];
-    
-    const cubeSize = Math.min(w, h) * 0.3;
-    const vertices = [
-      [-1, -1, -1], [1, -1, -1], [1, 1, -1], [-1, 1, -1],
-      [-1, -1, 1], [1, -1, 1], [1, 1, 1], [-1, 1, 1]
-    ];
-    const faces = [[0,1,2,3],[4,5,6,7],[0,1,5,4],[2,3,7,6],[0,3,7,4],[1,2,6,5]];
-    
-    positions.forEach((pos, cubeIndex) => {
-      const cx = pos.x, cy = pos.y;
-      const rotX = time * 0.3 + cubeIndex * Math.PI * 0.5;
-      const rotY = time * 0.5 + cubeIndex * Math.PI * 0.25;
-      
-      const rotateY = (p, angle) => {
-        const cos = Math.cos(angle), sin = Math.sin(angle);
-        return [p[0] * cos + p[2] * sin, p[1], -p[0] * sin + p[2] * cos];
-      };
-      const rotateX = (p, angle) => {
-        const cos = Math.cos(angle), sin = Math.sin(angle);
-        return [p[0], p[1] * cos - p[2] * sin, p[1] * sin + p[2] * cos];
-      };
-      const project = (p) => {
-        const perspective = 500 / (500 + p[2] * cubeSize);
-        return [cx + p[0] * cubeSize * perspective, cy + p[1] * cubeSize * perspective, p[2]];
-      };
-      
-      const transformed = vertices.map(v => project(rotateX(rotateY(v, rotY), rotX)));
-      const facesWithDepth = faces.map((face, i) => ({
-        face, i, depth: face.reduce((sum, vi) => sum + transformed[vi][2], 0) / face.length
-      }));
-      facesWithDepth.sort((a, b) => a.depth - b.depth);
-      
-      facesWithDepth.forEach(({ face, i }) => {
-        const fv = face.map(vi => transformed[vi]);
-        const v1 = [fv[1][0] - fv[0][0], fv[1][1] - fv[0][1]];
-        const v2 = [fv[2][0] - fv[0][0], fv[2][1] - fv[0][1]];
-        if (v1[0] * v2[1] - v1[1] * v2[0] > 0) {
-          this.ctx.fillStyle = this.pick(colors, (i + cubeIndex) % colors.length);
-          this.ctx.beginPath();
-          this.ctx.moveTo(fv[0][0], fv[0][1]);
-          fv.forEach(v => this.ctx.lineTo(v[0], v[1]));
-          this.ctx.closePath();
-          this.ctx.fill();
-          this.ctx.strokeStyle = "#000";
-          this.ctx.lineWidth = 2;
-          this.ctx.globalAlpha = 0.8;
-          this.ctx.stroke();
-          this.ctx.globalAlpha = 1;
-        }
-      });
-    });
+  /**
+   * Use parsed captions (captions.js cues, in song time) for captions layers.
+   * Frame times start at 0, so `startTime` maps them back onto the song.
+   */
+  setCaptions(cues, startTime = 0) {
+    this.captions = cues || null;
+    this.captionOffset = startTime;
   }
 
-  renderMandala(colors) {
-    const w = this.width, h = this.height;
-    const cx = w * 0.5, cy = h * 0.5;
-    const maxRadius = Math.max(w, h) * 0.7;
-    const time = this.frameTime * 0.001;
-    
-    this.ctx.save();
-    this.ctx.translate(cx, cy);
-    this.ctx.rotate(time * 0.3);
+  /**
+   * Lyrics/captions layer: the cue active at the current frame, faded in and
+   * out, wrapped to `maxWidth`. Cues with word timing get a karaoke wipe in
+   * `highlightColor` as each word is sung.
+   */
+  renderCaptions(layer, colors, rms) {
+    if (!this.captions) return;
     
-    for (let ring = 0; ring < 12; ring++) {
-      const radius = (ring + 1) * (maxRadius / 12);
-      const petals = 6 + ring * 3;
-      const angleStep = (Math.PI * 2) / petals;
-      
-      for (let i = 0; i < petals; i++) {
-        const angle = i * angleStep + time * 0.5;
-        const x = Math.cos(angle) * radius;
-        const y = Math.sin(angle) * radius;
-        this.ctx.fillStyle = this.pick(colors, (ring + i) % colors.length);
-        this.ctx.globalAlpha = 0.9 - ring * 0.05;
-        this.ctx.beginPath();
-        this.ctx.arc(x, y, maxRadius * 0.08 * (1 - ring * 0.05), 0, Math.PI * 2);
-        this.ctx.fill();
-      }
-    }
-    this.ctx.restore();
-    this.ctx.globalAlpha = 1;
-  }
-
-  renderKaleidoscope(colors) {
-    const w = this.width, h = this.height;
-    const cx = w * 0.5, cy = h * 0.5;
-    const maxRadius = Math.max(w, h) * 0.8;
-    const time = this.frameTime * 0.001;
+    const ctx = this.ctx;
+    const time = this.captionOffset + this.frameTime / 1000;
+    const cue = findCue(this.captions, time);
+    if (!cue) return;
     
-    this.ctx.save();
-    this.ctx.translate(cx, cy);
+    const fadeIn = layer.fadeIn ?? 0.2, fadeOut = layer.fadeOut ?? 0.2;
+    const alpha = Math.max(0, Math.min(1,
+      fadeIn > 0 ? (time - cue.start) / fadeIn : 1,
+      fadeOut > 0 ? (cue.end - time) / fadeOut : 1));
+    if (alpha <= 0) return;
     
-    const segments = 12;
-    for (let seg = 0; seg < segments; seg++) {
-      this.ctx.save();
-      this.ctx.rotate((seg / segments) * Math.PI * 2);
-      
-      for (let i = 0; i < 30; i++) {
-        const radius = (i / 30) * maxRadius;
-        const angle = time * 2 + i * 0.3;
-        const x = Math.cos(angle) * radius * 0.9;
-        const y = Math.sin(angle) * radius * 0.9;
-        this.ctx.fillStyle = this.pick(colors, i % colors.length);
-        this.ctx.globalAlpha = 1 - radius / maxRadius * 0.5;
-        this.ctx.beginPath();
-        this.ctx.arc(x, y, 12 + Math.sin(time * 3 + i) * 6, 0, Math.PI * 2);
-        this.ctx.fill();
-      }
-      this.ctx.restore();
-    }
-    this.ctx.restore();
-    this.ctx.globalAlpha = 1;
-  }
-
-  renderSpaceTunnel(colors, layer) {
-    const w = this.width, h = this.height;
-    const cx = w * 0.5, cy = h * 0.5;
-    const cacheKey = `stars_${layer.id || 'default'}`;
-    
-    if (!this.layerCache.has(cacheKey)) {
-      const stars = [];
-      for (let i = 0; i < 200; i++) {
-        stars.push({
-          x: (Math.random() - 0.5) * 2,
-          y: (Math.random() - 0.5) * 2,
-          z: Math.random() * 2 + 0.1,
-          size: Math.random() * 3 + 1,
-          speed: Math.random() * 2 + 1,
-          color: this.pick(colors, Math.floor(Math.random() * colors.length))
-        });
+    ctx.save();
+    ctx.globalAlpha *= alpha;
+    const { fill, size, unit, lineHeight } = this.applyTextStyle(layer, colors, rms, 64);
+    const align = ctx.textAlign;
+    ctx.textAlign = 'left'; // Words are placed individually
+    
+    // Lay out words into lines no wider than maxWidth, keeping explicit line breaks
+    const maxWidth = (layer.maxWidth ?? 0.9) * this.width;
+    const space = ctx.measureText(' ').width;
+    const paragraphs = cue.words
+      ? [cue.words]
+      : cue.text.split('\n').map(line => line.split(/\s+/).filter(Boolean).map(text => ({ text })));
+    const lines = [];
+    for (const words of paragraphs) {
+      let line = { words: [], width: 0 };
+      for (const word of words) {
+        const width = ctx.measureText(word.text).width;
+        const next = line.width + (line.words.length ? space : 0) + width;
+        if (line.words.length && next > maxWidth) {
+          lines.push(line);
+          line = { words: [], width: 0 };
+        }
+        line.width += (line.words.length ? space : 0) + width;
+        line.words.push({ ...word, width });
       }
-      this.layerCache.set(cacheKey, stars);
+      if (line.words.length) lines.push(line);
     }
     
-    const stars = this.layerCache.get(cacheKey);
-    stars.forEach(star => {
-      star.z -= star.speed * 0.016;
-      if (star.z <= 0.1) {
-        star.x = (Math.random() - 0.5) * 2;
-        star.y = (Math.random() - 0.5) * 2;
-        star.z = 2.1;
-        star.color = this.pick(colors, Math.floor(Math.random() * colors.length));
-      }
-      
-      const perspective = 1 / star.z;
-      const sx = cx + (star.x * perspective) * (w * 0.8);
-      const sy = cy + (star.y * perspective) * (h * 0.8);
-      const size = star.size * perspective;
-      
-      if (sx >= 0 && sx <= w && sy >= 0 && sy <= h && size > 0.5) {
-        this.ctx.fillStyle = star.color;
-        this.ctx.globalAlpha = perspective;
-        this.ctx.beginPath();
-        this.ctx.arc(sx, sy, size, 0, Math.PI * 2);
-        this.ctx.fill();
-      }
-    });
-    this.ctx.globalAlpha = 1;
-  }
-
-  renderWarpSpeed(colors, layer) {
-    const w = this.width, h = this.height;
-    const cx = w * 0.5, cy = h * 0.5;
-    const cacheKey = `warp_${layer.id || 'default'}`;
-    
-    if (!this.layerCache.has(cacheKey)) {
-      const lines = [];
-      for (let i = 0; i < 80; i++) {
-        lines.push({
-          angle: (i / 80) * Math.PI * 2,
-          radius: Math.random() * 0.8 + 0.1,
-          z: Math.random() * 3 + 0.1,
-          speed: Math.random() * 8 + 4,
-          width: Math.random() * 2 + 1,
-          color: this.pick(colors, Math.floor(Math.random() * colors.length))
-        });
-      }
-      this.layerCache.set(cacheKey, lines);
-    }
+    const anchorX = (layer.x ?? 0.5) * this.width;
+    const top = (layer.y ?? 0.85) * this.height - ((lines.length - 1) * lineHeight) / 2;
+    const highlight = layer.highlightColor || this.pick(colors, 2);
     
-    const lines = this.layerCache.get(cacheKey);
-    lines.forEach(line => {
-      line.z -= line.speed * 0.016;
-      if (line.z <= 0.1) {
-        line.angle = Math.random() * Math.PI * 2;
-        line.radius = Math.random() * 0.8 + 0.1;
-        line.z = 3.1;
-        line.color = this.pick(colors, Math.floor(Math.random() * colors.length));
-      }
-      
-      const perspective = 1 / line.z;
-      const cr = line.radius * perspective;
-      const sx = cx + Math.cos(line.angle) * cr * (w * 0.4);
-      const sy = cy + Math.sin(line.angle) * cr * (h * 0.4);
+    lines.forEach((line, i) => {
+      const y = top + i * lineHeight;
+      let x = align === 'left' ? anchorX : align === 'right' ? anchorX - line.width : anchorX - line.width / 2;
       
-      if (perspective * line.width > 0.5) {
-        this.ctx.strokeStyle = line.color;
-        this.ctx.lineWidth = line.width * perspective;
-        this.ctx.globalAlpha = perspective * 2;
-        this.ctx.beginPath();
-        this.ctx.moveTo(cx, cy);
-        this.ctx.lineTo(sx, sy);
-        this.ctx.stroke();
-      }
-    });
-    this.ctx.globalAlpha = 1;
-  }
-
-  renderRain(colors, layer) {
-    const w = this.width, h = this.height;
-    const cacheKey = `rain_${layer.id || 'default'}`;
-    
-    if (!this.layerCache.has(cacheKey)) {
-      const drops = [];
-      for (let i = 0; i < 300; i++) {
-        drops.push({
-          x: Math.random() * w,
-          y: Math.random() * h,
-          speed: Math.random() * 200 + 100,
-          length: Math.random() * 20 + 10,
-          thickness: Math.random() * 2 + 0.5,
-          color: this.pick(colors, Math.floor(Math.random() * colors.length))
-        });
-      }
-      this.layerCache.set(cacheKey, drops);
-    }
-    
-    const drops = this.layerCache.get(cacheKey);
-    drops.forEach(drop => {
-      drop.y += drop.speed * 0.016;
-      if (drop.y > h) {
-        drop.x = Math.random() * w;
-        drop.y = -drop.length;
-        drop.color = this.pick(colors, Math.floor(Math.random() * colors.length));
+      for (const word of line.words) {
+        this.drawText(layer, word.text, x, y, fill, unit);
+        
+        if (word.start !== undefined && time >= word.start) {
+          const progress = Math.min(1, (time - word.start) / Math.max(0.01, word.end - word.start));
+          ctx.save();
+          ctx.beginPath();
+          ctx.rect(x, y - size, word.width * progress, size * 2);
+          ctx.clip();
+          ctx.fillStyle = highlight;
+          ctx.fillText(word.text, x, y);
+          ctx.restore();
+        }
+        x += word.width + space;
       }
-      
-      this.ctx.strokeStyle = drop.color;
-      this.ctx.lineWidth = drop.thickness;
-      this.ctx.globalAlpha = 0.9;
-      this.ctx.beginPath();
-      this.ctx.moveTo(drop.x, drop.y);
-      this.ctx.lineTo(drop.x, drop.y + drop.length);
-      this.ctx.stroke();
     });
-    this.ctx.globalAlpha = 1;
-  }
-
-  renderSnowfall(colors, layer) {
-    const w = this.width, h = this.height;
-    const time = this.frameTime * 0.001;
-    const cacheKey = `snow_${layer.id || 'default'}`;
-    
-    if (!this.layerCache.has(cacheKey)) {
-      const flakes = [];
-      for (let i = 0; i < 150; i++) {
-        flakes.push({
-          x: Math.random() * w,
-          y: Math.random() * h,
-          speed: Math.random() * 50 + 20,
-          size: Math.random() * 4 + 2,
-          drift: Math.random() * 20 - 10,
-          color: this.pick(colors, Math.floor(Math.random() * colors.length))
-        });
-      }
-      this.layerCache.set(cacheKey, flakes);
-    }
     
-    const flakes = this.layerCache.get(cacheKey);
-    flakes.forEach(flake => {
-      flake.y += flake.speed * 0.016;
-      flake.x += Math.sin(time + flake.y * 0.01) * flake.drift * 0.016;
-      
-      if (flake.y > h) {
-        flake.x = Math.random() * w;
-        flake.y = -flake.size;
-        flake.color = this.pick(colors, Math.floor(Math.random() * colors.length));
-      }
-      
-      this.ctx.fillStyle = flake.color;
-      this.ctx.globalAlpha = 0.6;
-      this.ctx.beginPath();
-      this.ctx.arc(flake.x, flake.y, flake.size, 0, Math.PI * 2);
-      this.ctx.fill();
-    });
-    this.ctx.globalAlpha = 1;
+    ctx.restore();
   }
 
   async saveFrame(framePath) {
     const buffer = this.canvas.toBuffer('image/png');
-    await require('fs-extra').writeFile(framePath, buffer);
+    await fs.writeFile(framePath, buffer);
   }
 
   getBuffer() {
@@ -972,5 +945,7 @@ class VisualRenderer {
   }
 }
 
+VisualRenderer.BLEND_MODES = BLEND_MODES;
+
 module.exports = VisualRenderer;
 
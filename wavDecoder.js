@@ -0,0 +1,252 @@
+/**
+ * RIFF/WAVE decoding for AudioAnalyzer. Walks the chunk list to find `fmt ` and
+ * `data` (skipping LIST, fact, bext, ...), and decodes 8/16/24/32-bit integer
+ * and 32/64-bit float PCM with any channel count into Float32Array channels.
+ */
+
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+// ffmpeg writes these data sizes when its output is not seekable (pipes)
+const UNKNOWN_SIZES = [0, 0xffffffff];
+
+/**
+ * Build a reader that returns the sample at `offset` normalized to -1..1
+ */
+function getSampleReader(format) {
+  const { audioFormat, bitsPerSample } = format;
+
+  if (audioFormat === WAVE_FORMAT_PCM) {
+    switch (bitsPerSample) {
+      case 8: return (buf, offset) => (buf[offset] - 128) / 128; // 8-bit WAV is unsigned
+      case 16: return (buf, offset) => buf.readInt16LE(offset) / 32768;
+      case 24: return (buf, offset) => buf.readIntLE(offset, 3) / 8388608;
+      case 32: return (buf, offset) => buf.readInt32LE(offset) / 2147483648;
+    }
+  } else if (audioFormat === WAVE_FORMAT_IEEE_FLOAT) {
+    switch (bitsPerSample) {
+      case 32: return (buf, offset) => buf.readFloatLE(offset);
+      case 64: return (buf, offset) => buf.readDoubleLE(offset);
+    }
+  }
+
+  const kind = audioFormat === WAVE_FORMAT_IEEE_FLOAT ? 'float' : audioFormat === WAVE_FORMAT_PCM ? 'integer PCM' : `format 0x${audioFormat.toString(16)}`;
+  throw new Error(`Unsupported WAV encoding: ${bitsPerSample}-bit ${kind}`);
+}
+
+/**
+ * Parse the `fmt ` chunk body
+ */
+function parseFormatChunk(buffer, offset, size) {
+  if (size < 16) {
+    throw new Error(`Invalid WAV: fmt chunk is ${size} bytes, expected at least 16`);
+  }
+
+  let audioFormat = buffer.readUInt16LE(offset);
+  const format = {
+    audioFormat,
+    channels: buffer.readUInt16LE(offset + 2),
+    sampleRate: buffer.readUInt32LE(offset + 4),
+    blockAlign: buffer.readUInt16LE(offset + 12),
+    bitsPerSample: buffer.readUInt16LE(offset + 14)
+  };
+
+  // WAVE_FORMAT_EXTENSIBLE keeps the real format in the first 2 bytes of the sub-format GUID
+  if (audioFormat === WAVE_FORMAT_EXTENSIBLE) {
+    if (size < 40) {
+      throw new Error(`Invalid WAV: extensible fmt chunk is ${size} bytes, expected 40`);
+    }
+    format.audioFormat = buffer.readUInt16LE(offset + 24);
+  }
+
+  validateFormat(format);
+  return format;
+}
+
+/**
+ * Throw unless `format` is an encoding we decode with a consistent layout.
+ * The encoding is checked first, so odd bit depths (16-bit float, 12-bit PCM)
+ * always report as unsupported rather than as a layout problem.
+ */
+function validateFormat(format) {
+  getSampleReader(format);
+
+  if (format.channels < 1) {
+    throw new Error('Invalid WAV: fmt chunk declares 0 channels');
+  }
+  if (format.sampleRate < 1) {
+    throw new Error('Invalid WAV: fmt chunk declares a sample rate of 0');
+  }
+  if (format.blockAlign !== format.channels * Math.ceil(format.bitsPerSample / 8)) {
+    throw new Error(`Invalid WAV: block align ${format.blockAlign} does not match ${format.channels} channel(s) of ${format.bitsPerSample}-bit samples`);
+  }
+}
+
+/**
+ * Locate and parse the `fmt ` chunk and the start/length of the `data` chunk.
+ * `data` is the last chunk we need, so everything after it is ignored.
+ * With `partial` set (streaming), returns null instead of throwing when the
+ * buffer simply ends before the header does, and does not require the data to
+ * be present yet (`dataLength` is Infinity when the size is unknown).
+ */
+function parseWavHeader(buffer, { partial = false } = {}) {
+  const truncated = (message) => {
+    if (partial) return null;
+    throw new Error(message);
+  };
+
+  if (buffer.length < 12) {
+    return truncated(`Truncated WAV: ${buffer.length} bytes is too short for a RIFF header`);
+  }
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file: missing RIFF/WAVE signature');
+  }
+
+  let format = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      if (body + size > buffer.length) {
+        return truncated('Truncated WAV: fmt chunk extends past the end of the file');
+      }
+      format = parseFormatChunk(buffer, body, size);
+    } else if (id === 'data') {
+      if (!format) {
+        throw new Error('Invalid WAV: data chunk appears before the fmt chunk');
+      }
+      const available = buffer.length - body;
+      const streamed = UNKNOWN_SIZES.includes(size);
+      if (partial) {
+        return { format, dataOffset: body, dataLength: streamed ? Infinity : size };
+      }
+      if (!streamed && size > available) {
+        throw new Error(`Truncated WAV: data chunk declares ${size} bytes but only ${available} are present`);
+      }
+      const length = streamed ? available : size;
+      return {
+        format,
+        dataOffset: body,
+        // Drop a trailing partial sample frame
+        dataLength: length - (length % format.blockAlign)
+      };
+    }
+
+    // Chunks are word aligned: odd sizes carry a pad byte
+    offset = body + size + (size % 2);
+  }
+
+  return truncated(format
+    ? 'Truncated WAV: no data chunk found'
+    : 'Truncated WAV: no fmt chunk found');
+}
+
+/**
+ * Decode `frameCount` interleaved sample frames starting at `offset` into one
+ * Float32Array per channel
+ */
+function decodeSamples(buffer, format, offset, frameCount) {
+  validateFormat(format);
+  const read = getSampleReader(format);
+  const { channels, blockAlign } = format;
+  const bytesPerSample = blockAlign / channels;
+  const out = [];
+
+  for (let c = 0; c < channels; c++) out.push(new Float32Array(frameCount));
+
+  for (let i = 0; i < frameCount; i++) {
+    const frameOffset = offset + i * blockAlign;
+    for (let c = 0; c < channels; c++) {
+      out[c][i] = read(buffer, frameOffset + c * bytesPerSample);
+    }
+  }
+  return out;
+}
+
+/**
+ * Decode a complete WAV buffer
+ */
+function decodeWav(buffer) {
+  const { format, dataOffset, dataLength } = parseWavHeader(buffer);
+  const frameCount = dataLength / format.blockAlign;
+
+  return {
+    format,
+    sampleRate: format.sampleRate,
+    channels: decodeSamples(buffer, format, dataOffset, frameCount)
+  };
+}
+
+/**
+ * Incremental decoder for WAV data arriving in chunks (e.g. ffmpeg stdout).
+ * push() returns decoded channels for every complete sample frame received so
+ * far, holding back partial frames until the next chunk.
+ */
+class WavStreamDecoder {
+  constructor() {
+    this.header = null;
+    this.pending = Buffer.alloc(0);
+    this.remaining = 0;   // Data bytes still expected (Infinity when unknown)
+    this.received = 0;    // Total bytes seen, for error messages
+  }
+
+  get format() {
+    return this.header ? this.header.format : null;
+  }
+
+  push(chunk) {
+    this.received += chunk.length;
+    // Anything after the data chunk (trailing LIST/id3 chunks) is ignored
+    if (this.header && this.remaining <= 0) return null;
+    this.pending = this.pending.length ? Buffer.concat([this.pending, chunk]) : chunk;
+
+    if (!this.header) {
+      this.header = parseWavHeader(this.pending, { partial: true });
+      if (!this.header) return null;
+      this.remaining = this.header.dataLength;
+      this.pending = this.pending.subarray(this.header.dataOffset);
+    }
+
+    const { blockAlign } = this.header.format;
+    const usable = Math.min(this.pending.length, this.remaining);
+    const frameCount = Math.floor(usable / blockAlign);
+    if (frameCount === 0) return null;
+
+    const bytes = frameCount * blockAlign;
+    const channels = decodeSamples(this.pending, this.header.format, 0, frameCount);
+    this.pending = this.pending.subarray(bytes);
+    this.remaining -= bytes;
+    return channels;
+  }
+
+  /**
+   * Call once the input is exhausted to surface truncated streams
+   */
+  end() {
+    if (!this.header) {
+      // Re-parse strictly for a precise error message
+      parseWavHeader(this.pending);
+      throw new Error(`Truncated WAV: stream ended after ${this.received} bytes, before the data chunk`);
+    }
+    if (this.remaining !== Infinity && this.remaining >= this.header.format.blockAlign) {
+      throw new Error(`Truncated WAV: stream ended with ${this.remaining} bytes of declared audio data missing`);
+    }
+  }
+}
+
+module.exports = {
+  WAVE_FORMAT_PCM,
+  WAVE_FORMAT_IEEE_FLOAT,
+  WAVE_FORMAT_EXTENSIBLE,
+  getSampleReader,
+  validateFormat,
+  parseWavHeader,
+  decodeSamples,
+  decodeWav,
+  WavStreamDecoder
+};